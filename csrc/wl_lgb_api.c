@@ -5,8 +5,11 @@
  * equivalents, since Emscripten legalizes i64 to (lo32, hi32) pairs at
  * the JS boundary.
  *
- * All data flows through float32 (C_API_DTYPE_FLOAT32) to match JS
- * Float32Array. Labels use float32 (per LightGBM C API requirement).
+ * Feature values (dense, sparse and streamed) take a data_type
+ * (C_API_DTYPE_FLOAT32 or FLOAT64) so JS Float64Array input reaches
+ * LightGBM without narrowing; dense matrices also take a layout flag so
+ * column-major input needs no transpose. Labels use float32 (per LightGBM
+ * C API requirement).
  */
 
 #include <stdint.h>
@@ -26,16 +29,60 @@ const char* wl_lgb_get_last_error(void) {
 
 /* ---- Dataset ---- */
 
-int wl_lgb_dataset_create_from_mat(const float* data, int nrow, int ncol,
-                                   const char* params, void** out) {
+int wl_lgb_dataset_create_from_mat(const void* data, int data_type,
+                                   int nrow, int ncol, int is_row_major,
+                                   const char* params, void* reference,
+                                   void** out) {
   return LGBM_DatasetCreateFromMat(
-    (const void*)data,
-    C_API_DTYPE_FLOAT32,
+    data,
+    data_type,
     (int32_t)nrow,
     (int32_t)ncol,
-    1,        /* is_row_major = true */
+    is_row_major,  /* 0 = column-major */
+    params,
+    (DatasetHandle)reference,  /* NULL = build own bin mappers */
+    (DatasetHandle*)out
+  );
+}
+
+/* Sparse input: int32 index arrays, float32 or float64 values. */
+
+int wl_lgb_dataset_create_from_csr(const int* indptr, const int* indices,
+                                   const void* data, int data_type,
+                                   int nindptr, int nelem,
+                                   int ncol, const char* params,
+                                   void* reference, void** out) {
+  return LGBM_DatasetCreateFromCSR(
+    (const void*)indptr,
+    C_API_DTYPE_INT32,
+    (const int32_t*)indices,
+    data,
+    data_type,
+    (int64_t)nindptr,
+    (int64_t)nelem,
+    (int64_t)ncol,
     params,
-    NULL,     /* no reference dataset */
+    (DatasetHandle)reference,
+    (DatasetHandle*)out
+  );
+}
+
+int wl_lgb_dataset_create_from_csc(const int* col_ptr, const int* indices,
+                                   const void* data, int data_type,
+                                   int ncol_ptr, int nelem,
+                                   int nrow, const char* params,
+                                   void* reference, void** out) {
+  return LGBM_DatasetCreateFromCSC(
+    (const void*)col_ptr,
+    C_API_DTYPE_INT32,
+    (const int32_t*)indices,
+    data,
+    data_type,
+    (int64_t)ncol_ptr,
+    (int64_t)nelem,
+    (int64_t)nrow,
+    params,
+    (DatasetHandle)reference,
     (DatasetHandle*)out
   );
 }
@@ -51,6 +98,165 @@ int wl_lgb_dataset_set_field(void* handle, const char* field,
   );
 }
 
+/* out_ptr points into LightGBM-owned memory (valid until the next SetField
+ * or free); out_type is a C_API_DTYPE_* code. */
+int wl_lgb_dataset_get_field(void* handle, const char* field,
+                             int* out_len, const void** out_ptr,
+                             int* out_type) {
+  return LGBM_DatasetGetField(
+    (DatasetHandle)handle,
+    field,
+    out_len,
+    out_ptr,
+    out_type
+  );
+}
+
+int wl_lgb_dataset_get_num_data(void* handle, int* out) {
+  return LGBM_DatasetGetNumData((DatasetHandle)handle, (int32_t*)out);
+}
+
+/* Rows used_row_indices (sorted ascending) of a constructed dataset, sharing
+ * its bin mappers and copying labels, weights and query boundaries. */
+int wl_lgb_dataset_get_subset(void* handle, const int* used_row_indices,
+                              int num_used_row_indices, const char* params,
+                              void** out) {
+  return LGBM_DatasetGetSubset(
+    (DatasetHandle)handle,
+    (const int32_t*)used_row_indices,
+    (int32_t)num_used_row_indices,
+    params,
+    (DatasetHandle*)out
+  );
+}
+
+/* Column names, stored in the model text and JSON dumps. LightGBM replaces
+ * spaces with underscores and rejects JSON special characters. */
+int wl_lgb_dataset_set_feature_names(void* handle, const char** names,
+                                     int num_names) {
+  return LGBM_DatasetSetFeatureNames(
+    (DatasetHandle)handle,
+    names,
+    num_names
+  );
+}
+
+/* ---- Streaming construction ---- */
+
+/* NaN compares unequal to itself and must be kept as missing */
+static int wl_lgb_sample_keep(double v) {
+  return v != v || v > 1e-35 || v < -1e-35;
+}
+
+static double wl_lgb_sample_at(const void* sample, int data_type, size_t k) {
+  return data_type == C_API_DTYPE_FLOAT64
+    ? ((const double*)sample)[k]
+    : (double)((const float*)sample)[k];
+}
+
+/*
+ * Empty dataset for num_total_row rows whose bin mappers are built from a
+ * row sample (row-major float32 or float64, nsample x ncol). LightGBM takes the sample
+ * per column as the non-zero values and their row indices; zeros are
+ * implied, so only the non-zeros are stored (counted first, then filled).
+ * Rows are then added with wl_lgb_dataset_push_rows.
+ */
+int wl_lgb_dataset_create_from_sample(const void* sample, int data_type,
+                                      int nsample, int ncol, int num_total_row,
+                                      const char* params, void** out) {
+  size_t ncol_alloc = ncol > 0 ? (size_t)ncol : 1;
+  int* counts = (int*)calloc(ncol_alloc, sizeof(int));
+  double** col_values = (double**)calloc(ncol_alloc, sizeof(double*));
+  int** col_indices = (int**)calloc(ncol_alloc, sizeof(int*));
+  double* values = NULL;
+  int* indices = NULL;
+  size_t nnz = 0;
+  size_t offset = 0;
+  int ret = -1;
+
+  if (!counts || !col_values || !col_indices) goto oom;
+
+  for (int i = 0; i < nsample; i++) {
+    for (int j = 0; j < ncol; j++) {
+      if (wl_lgb_sample_keep(wl_lgb_sample_at(sample, data_type, (size_t)i * ncol + j))) {
+        counts[j]++;
+        nnz++;
+      }
+    }
+  }
+
+  values = (double*)malloc(sizeof(double) * (nnz > 0 ? nnz : 1));
+  indices = (int*)malloc(sizeof(int) * (nnz > 0 ? nnz : 1));
+  if (!values || !indices) goto oom;
+
+  /* Column j owns counts[j] consecutive slots; counts is rebuilt as the
+   * fill cursor */
+  for (int j = 0; j < ncol; j++) {
+    col_values[j] = values + offset;
+    col_indices[j] = indices + offset;
+    offset += (size_t)counts[j];
+    counts[j] = 0;
+  }
+  for (int i = 0; i < nsample; i++) {
+    for (int j = 0; j < ncol; j++) {
+      double v = wl_lgb_sample_at(sample, data_type, (size_t)i * ncol + j);
+      if (wl_lgb_sample_keep(v)) {
+        col_values[j][counts[j]] = v;
+        col_indices[j][counts[j]] = i;
+        counts[j]++;
+      }
+    }
+  }
+
+  ret = LGBM_DatasetCreateFromSampledColumn(
+    col_values,
+    col_indices,
+    ncol,
+    counts,
+    nsample,
+    num_total_row,
+    (int64_t)num_total_row,
+    params,
+    (DatasetHandle*)out
+  );
+  goto done;
+
+oom:
+  LGBM_SetLastError("Out of memory while building the bin construction sample");
+
+done:
+  free(values);
+  free(indices);
+  free(col_values);
+  free(col_indices);
+  free(counts);
+  return ret;
+}
+
+/* Empty dataset for num_total_row rows sharing reference's bin mappers */
+int wl_lgb_dataset_create_by_reference(void* reference, int num_total_row,
+                                       void** out) {
+  return LGBM_DatasetCreateByReference(
+    (DatasetHandle)reference,
+    (int64_t)num_total_row,
+    (DatasetHandle*)out
+  );
+}
+
+/* Bins rows [start_row, start_row + nrow) of a streamed dataset. Pushing
+ * the last row finishes the dataset. */
+int wl_lgb_dataset_push_rows(void* handle, const void* data, int data_type,
+                             int nrow, int ncol, int start_row) {
+  return LGBM_DatasetPushRows(
+    (DatasetHandle)handle,
+    data,
+    data_type,
+    nrow,
+    ncol,
+    start_row
+  );
+}
+
 int wl_lgb_dataset_free(void* handle) {
   return LGBM_DatasetFree((DatasetHandle)handle);
 }
@@ -72,6 +278,44 @@ int wl_lgb_booster_update(void* handle, int* is_finished) {
   );
 }
 
+/* Custom objective: grad and hess hold num_data * num_class float32 values,
+ * class-major (all rows for class 0, then class 1, ...). */
+int wl_lgb_booster_update_custom(void* handle, const float* grad,
+                                 const float* hess, int* is_finished) {
+  return LGBM_BoosterUpdateOneIterCustom(
+    (BoosterHandle)handle,
+    grad,
+    hess,
+    is_finished
+  );
+}
+
+int wl_lgb_booster_add_valid_data(void* handle, void* valid_data) {
+  return LGBM_BoosterAddValidData(
+    (BoosterHandle)handle,
+    (DatasetHandle)valid_data
+  );
+}
+
+/* Prepends other's trees to handle's (LightGBM's init_model merge) */
+int wl_lgb_booster_merge(void* handle, void* other) {
+  return LGBM_BoosterMerge(
+    (BoosterHandle)handle,
+    (BoosterHandle)other
+  );
+}
+
+/* Re-estimates leaf outputs on the booster's training data. leaf_preds is
+ * row-major nrow x ncol (one column per tree), as from leaf index predict. */
+int wl_lgb_booster_refit(void* handle, const int* leaf_preds, int nrow, int ncol) {
+  return LGBM_BoosterRefit(
+    (BoosterHandle)handle,
+    leaf_preds,
+    nrow,
+    ncol
+  );
+}
+
 int wl_lgb_booster_get_num_classes(void* handle, int* out) {
   return LGBM_BoosterGetNumClasses(
     (BoosterHandle)handle,
@@ -79,26 +323,235 @@ int wl_lgb_booster_get_num_classes(void* handle, int* out) {
   );
 }
 
+int wl_lgb_booster_get_num_feature(void* handle, int* out) {
+  return LGBM_BoosterGetNumFeature(
+    (BoosterHandle)handle,
+    out
+  );
+}
+
+/* Drops the last iteration's trees (and their training scores) */
+int wl_lgb_booster_rollback(void* handle) {
+  return LGBM_BoosterRollbackOneIter((BoosterHandle)handle);
+}
+
+int wl_lgb_booster_get_current_iteration(void* handle, int* out) {
+  return LGBM_BoosterGetCurrentIteration(
+    (BoosterHandle)handle,
+    out
+  );
+}
+
+/* importance_type: 0 = split count, 1 = total gain. out has num_feature doubles. */
+int wl_lgb_booster_feature_importance(void* handle, int num_iteration,
+                                      int importance_type, double* out) {
+  return LGBM_BoosterFeatureImportance(
+    (BoosterHandle)handle,
+    num_iteration,  /* <= 0 means all */
+    importance_type,
+    out
+  );
+}
+
 int wl_lgb_booster_free(void* handle) {
   return LGBM_BoosterFree((BoosterHandle)handle);
 }
 
+/* ---- Evaluation ---- */
+
+int wl_lgb_booster_get_eval_counts(void* handle, int* out) {
+  return LGBM_BoosterGetEvalCounts((BoosterHandle)handle, out);
+}
+
+/*
+ * Metric names joined with '\t' into a single NUL-terminated string, so JS
+ * does not have to build a char** array on the WASM heap. Same two-pass
+ * protocol as wl_lgb_booster_save_model: out_len is the required length
+ * (including NUL); out_str is only written if buffer_len is large enough.
+ */
+#define WL_NAME_BUF 256
+
+int wl_lgb_booster_get_eval_names(void* handle, int buffer_len,
+                                  int* out_len, char* out_str) {
+  int n = 0;
+  int ret = LGBM_BoosterGetEvalCounts((BoosterHandle)handle, &n);
+  if (ret != 0) return ret;
+
+  size_t name_buf = WL_NAME_BUF;
+  size_t required = 0;
+  char** strs = NULL;
+  char* storage = NULL;
+  int got = 0;
+
+  for (;;) {
+    strs = (char**)malloc(sizeof(char*) * (n > 0 ? n : 1));
+    storage = (char*)malloc(name_buf * (n > 0 ? n : 1));
+    if (!strs || !storage) {
+      free(strs);
+      free(storage);
+      LGBM_SetLastError("Out of memory while reading metric names");
+      return -1;
+    }
+    for (int i = 0; i < n; i++) strs[i] = storage + i * name_buf;
+    ret = LGBM_BoosterGetEvalNames((BoosterHandle)handle, n, &got,
+                                   name_buf, &required, strs);
+    if (ret != 0 || required <= name_buf) break;
+    free(strs);
+    free(storage);
+    name_buf = required;
+  }
+
+  if (ret == 0) {
+    int total = 1;
+    for (int i = 0; i < got; i++) total += (int)strlen(strs[i]) + (i > 0 ? 1 : 0);
+    if (out_len) *out_len = total;
+    if (out_str && buffer_len >= total) {
+      char* p = out_str;
+      for (int i = 0; i < got; i++) {
+        size_t len = strlen(strs[i]);
+        if (i > 0) *p++ = '\t';
+        memcpy(p, strs[i], len);
+        p += len;
+      }
+      *p = '\0';
+    }
+  }
+
+  free(strs);
+  free(storage);
+  return ret;
+}
+
+int wl_lgb_booster_get_eval(void* handle, int data_idx,
+                            int* out_len, double* out_results) {
+  return LGBM_BoosterGetEval(
+    (BoosterHandle)handle,
+    data_idx,       /* 0 = training data, 1.. = validation data */
+    out_len,
+    out_results
+  );
+}
+
+/* ---- Training scores (int64 -> int32 wrapper) ---- */
+
+/* Scores the booster currently holds for training (data_idx 0) or
+ * validation data, converted by the objective (raw for objective=none):
+ * num_data * num_class doubles, class-major. */
+int wl_lgb_booster_get_num_predict(void* handle, int data_idx, int* out_len) {
+  int64_t len64 = 0;
+  int ret = LGBM_BoosterGetNumPredict(
+    (BoosterHandle)handle,
+    data_idx,
+    &len64
+  );
+  if (out_len) *out_len = (int)len64;
+  return ret;
+}
+
+int wl_lgb_booster_get_predict(void* handle, int data_idx,
+                               int* out_len, double* out_result) {
+  int64_t len64 = 0;
+  int ret = LGBM_BoosterGetPredict(
+    (BoosterHandle)handle,
+    data_idx,
+    &len64,
+    out_result
+  );
+  if (out_len) *out_len = (int)len64;
+  return ret;
+}
+
 /* ---- Predict (int64 -> int32 wrapper) ---- */
 
-int wl_lgb_booster_predict(void* handle, const float* data,
-                           int nrow, int ncol, int predict_type,
-                           int num_iteration, const char* params,
+/* Number of doubles a predict call writes (depends on predict_type). */
+int wl_lgb_booster_calc_num_predict(void* handle, int nrow, int predict_type,
+                                    int start_iteration, int num_iteration,
+                                    int* out_len) {
+  int64_t len64 = 0;
+  int ret = LGBM_BoosterCalcNumPredict(
+    (BoosterHandle)handle,
+    nrow,
+    predict_type,
+    start_iteration,
+    num_iteration,  /* <= 0 means no limit */
+    &len64
+  );
+  if (out_len) *out_len = (int)len64;
+  return ret;
+}
+
+int wl_lgb_booster_predict(void* handle, const void* data, int data_type,
+                           int nrow, int ncol, int is_row_major,
+                           int predict_type,
+                           int start_iteration, int num_iteration,
+                           const char* params,
                            int* out_len, double* out_result) {
   int64_t len64 = 0;
   int ret = LGBM_BoosterPredictForMat(
     (BoosterHandle)handle,
-    (const void*)data,
-    C_API_DTYPE_FLOAT32,
+    data,
+    data_type,
     (int32_t)nrow,
     (int32_t)ncol,
-    1,              /* is_row_major = true */
+    is_row_major,   /* 0 = column-major */
+    predict_type,
+    start_iteration,
+    num_iteration,  /* <= 0 means no limit */
+    params,
+    &len64,
+    out_result
+  );
+  if (out_len) *out_len = (int)len64;
+  return ret;
+}
+
+int wl_lgb_booster_predict_csr(void* handle, const int* indptr,
+                               const int* indices, const void* data,
+                               int data_type, int nindptr, int nelem, int ncol,
+                               int predict_type, int start_iteration,
+                               int num_iteration, const char* params,
+                               int* out_len, double* out_result) {
+  int64_t len64 = 0;
+  int ret = LGBM_BoosterPredictForCSR(
+    (BoosterHandle)handle,
+    (const void*)indptr,
+    C_API_DTYPE_INT32,
+    (const int32_t*)indices,
+    data,
+    data_type,
+    (int64_t)nindptr,
+    (int64_t)nelem,
+    (int64_t)ncol,
+    predict_type,
+    start_iteration,
+    num_iteration,  /* <= 0 means no limit */
+    params,
+    &len64,
+    out_result
+  );
+  if (out_len) *out_len = (int)len64;
+  return ret;
+}
+
+int wl_lgb_booster_predict_csc(void* handle, const int* col_ptr,
+                               const int* indices, const void* data,
+                               int data_type, int ncol_ptr, int nelem, int nrow,
+                               int predict_type, int start_iteration,
+                               int num_iteration, const char* params,
+                               int* out_len, double* out_result) {
+  int64_t len64 = 0;
+  int ret = LGBM_BoosterPredictForCSC(
+    (BoosterHandle)handle,
+    (const void*)col_ptr,
+    C_API_DTYPE_INT32,
+    (const int32_t*)indices,
+    data,
+    data_type,
+    (int64_t)ncol_ptr,
+    (int64_t)nelem,
+    (int64_t)nrow,
     predict_type,
-    0,              /* start_iteration = 0 (all) */
+    start_iteration,
     num_iteration,  /* <= 0 means no limit */
     params,
     &len64,
@@ -110,13 +563,33 @@ int wl_lgb_booster_predict(void* handle, const float* data,
 
 /* ---- Save model (int64 -> int32 wrapper) ---- */
 
-int wl_lgb_booster_save_model(void* handle, int buffer_len,
+int wl_lgb_booster_save_model(void* handle, int start_iteration,
+                              int num_iteration, int buffer_len,
                               int* out_len, char* out_str) {
   int64_t len64 = 0;
   int ret = LGBM_BoosterSaveModelToString(
     (BoosterHandle)handle,
-    0,              /* start_iteration = 0 */
-    0,              /* num_iteration = 0 (all) */
+    start_iteration,
+    num_iteration,  /* <= 0 means all */
+    0,              /* feature_importance_type = split */
+    (int64_t)buffer_len,
+    &len64,
+    out_str
+  );
+  if (out_len) *out_len = (int)len64;
+  return ret;
+}
+
+/* ---- Dump model as JSON (int64 -> int32 wrapper) ---- */
+
+int wl_lgb_booster_dump_model(void* handle, int start_iteration,
+                              int num_iteration, int buffer_len,
+                              int* out_len, char* out_str) {
+  int64_t len64 = 0;
+  int ret = LGBM_BoosterDumpModel(
+    (BoosterHandle)handle,
+    start_iteration,
+    num_iteration,  /* <= 0 means all */
     0,              /* feature_importance_type = split */
     (int64_t)buffer_len,
     &len64,
@@ -41,7 +41,7 @@ EXPORTS=$(node -e "
 
 echo "=== Building browser bundles ==="
 echo "  Package: ${NAME}"
-echo "  Files: ${NAME}.js, ${NAME}.mjs"
+echo "  Files: ${NAME}.js, ${NAME}.mjs, ${NAME}.worker.js"
 echo "  Exports: ${EXPORTS}"
 
 mkdir -p "$DIST_DIR"
@@ -59,6 +59,7 @@ COMMON_FLAGS=(
   --alias:node:fs=./scripts/empty.js
   --alias:node:crypto=./scripts/empty.js
   --alias:node:path=./scripts/empty.js
+  --alias:node:worker_threads=./scripts/empty.js
   --alias:ws=./scripts/empty.js
   --define:__dirname='""'
   --define:__filename='""'
@@ -85,5 +86,11 @@ DESTRUCTURE=$(IFS=','; echo "${KEYS[*]}")
 EXPORT_LINE=$(IFS=','; echo "${KEYS[*]}")
 echo "var {${DESTRUCTURE}}=${INTERNAL};export{${EXPORT_LINE}};" >> "${DIST_DIR}/${NAME}.mjs"
 
+# Web Worker script for LGBModel.createInWorker({ worker: new Worker(...) })
+npx esbuild "${PROJECT_DIR}/src/worker.js" \
+  "${COMMON_FLAGS[@]}" \
+  --format=iife \
+  --outfile="${DIST_DIR}/${NAME}.worker.js"
+
 echo "=== Browser bundles built ==="
-ls -lh "${DIST_DIR}/${NAME}.js" "${DIST_DIR}/${NAME}.mjs"
+ls -lh "${DIST_DIR}/${NAME}.js" "${DIST_DIR}/${NAME}.mjs" "${DIST_DIR}/${NAME}.worker.js"
@@ -72,14 +72,40 @@ echo "Using: $LGB_LIB"
 EXPORTED_FUNCTIONS='[
   "_wl_lgb_get_last_error",
   "_wl_lgb_dataset_create_from_mat",
+  "_wl_lgb_dataset_create_from_csr",
+  "_wl_lgb_dataset_create_from_csc",
   "_wl_lgb_dataset_set_field",
+  "_wl_lgb_dataset_get_field",
+  "_wl_lgb_dataset_get_num_data",
+  "_wl_lgb_dataset_get_subset",
+  "_wl_lgb_dataset_set_feature_names",
+  "_wl_lgb_dataset_create_from_sample",
+  "_wl_lgb_dataset_create_by_reference",
+  "_wl_lgb_dataset_push_rows",
   "_wl_lgb_dataset_free",
   "_wl_lgb_booster_create",
   "_wl_lgb_booster_update",
+  "_wl_lgb_booster_update_custom",
   "_wl_lgb_booster_get_num_classes",
+  "_wl_lgb_booster_add_valid_data",
+  "_wl_lgb_booster_merge",
+  "_wl_lgb_booster_refit",
+  "_wl_lgb_booster_get_eval_counts",
+  "_wl_lgb_booster_get_eval_names",
+  "_wl_lgb_booster_get_eval",
+  "_wl_lgb_booster_get_num_predict",
+  "_wl_lgb_booster_get_predict",
+  "_wl_lgb_booster_get_num_feature",
+  "_wl_lgb_booster_rollback",
+  "_wl_lgb_booster_get_current_iteration",
+  "_wl_lgb_booster_feature_importance",
   "_wl_lgb_booster_free",
+  "_wl_lgb_booster_calc_num_predict",
   "_wl_lgb_booster_predict",
+  "_wl_lgb_booster_predict_csr",
+  "_wl_lgb_booster_predict_csc",
   "_wl_lgb_booster_save_model",
+  "_wl_lgb_booster_dump_model",
   "_wl_lgb_booster_load_model",
   "_malloc",
   "_free"
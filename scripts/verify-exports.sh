@@ -13,14 +13,40 @@ fi
 REQUIRED_SYMBOLS=(
   wl_lgb_get_last_error
   wl_lgb_dataset_create_from_mat
+  wl_lgb_dataset_create_from_csr
+  wl_lgb_dataset_create_from_csc
   wl_lgb_dataset_set_field
+  wl_lgb_dataset_get_field
+  wl_lgb_dataset_get_num_data
+  wl_lgb_dataset_get_subset
+  wl_lgb_dataset_set_feature_names
+  wl_lgb_dataset_create_from_sample
+  wl_lgb_dataset_create_by_reference
+  wl_lgb_dataset_push_rows
   wl_lgb_dataset_free
   wl_lgb_booster_create
   wl_lgb_booster_update
+  wl_lgb_booster_update_custom
   wl_lgb_booster_get_num_classes
+  wl_lgb_booster_add_valid_data
+  wl_lgb_booster_merge
+  wl_lgb_booster_refit
+  wl_lgb_booster_get_eval_counts
+  wl_lgb_booster_get_eval_names
+  wl_lgb_booster_get_eval
+  wl_lgb_booster_get_num_predict
+  wl_lgb_booster_get_predict
+  wl_lgb_booster_get_num_feature
+  wl_lgb_booster_rollback
+  wl_lgb_booster_get_current_iteration
+  wl_lgb_booster_feature_importance
   wl_lgb_booster_free
+  wl_lgb_booster_calc_num_predict
   wl_lgb_booster_predict
+  wl_lgb_booster_predict_csr
+  wl_lgb_booster_predict_csc
   wl_lgb_booster_save_model
+  wl_lgb_booster_dump_model
   wl_lgb_booster_load_model
 )
 
@@ -1,4 +1,5 @@
 const { getWasm } = require('./wasm.js')
+const { copyDense, copySparse } = require('./heap.js')
 
 // FinalizationRegistry safety net
 const registry = typeof FinalizationRegistry !== 'undefined'
@@ -25,6 +26,66 @@ function getLastError(wasm) {
   return wasm.UTF8ToString(wasm._wl_lgb_get_last_error())
 }
 
+// Two-pass string read: call(bufLen, outLenPtr, bufPtr) is invoked once with
+// an empty buffer to learn the required length, then again to fill it.
+// Returns the bytes without the null terminator.
+function readString(wasm, what, call) {
+  const outLenPtr = wasm._malloc(4)
+  let ret = call(0, outLenPtr, 0)
+
+  if (ret !== 0) {
+    wasm._free(outLenPtr)
+    throw new Error(`Booster ${what} (size query) failed: ${getLastError(wasm)}`)
+  }
+
+  const bufLen = wasm.getValue(outLenPtr, 'i32')
+  const bufPtr = wasm._malloc(bufLen)
+  ret = call(bufLen, outLenPtr, bufPtr)
+
+  if (ret !== 0) {
+    wasm._free(outLenPtr)
+    wasm._free(bufPtr)
+    throw new Error(`Booster ${what} failed: ${getLastError(wasm)}`)
+  }
+
+  const actualLen = wasm.getValue(outLenPtr, 'i32')
+  wasm._free(outLenPtr)
+
+  const result = new Uint8Array(actualLen - 1) // exclude null terminator
+  result.set(wasm.HEAPU8.subarray(bufPtr, bufPtr + actualLen - 1))
+  wasm._free(bufPtr)
+
+  return result
+}
+
+// LightGBM keeps per-row, per-class buffers class-major (all rows of class 0
+// first); the JS API is row-major like predict() output. Float32 output for
+// the gradient buffers.
+function toClassMajor(values, k) {
+  const n = values.length / k
+  const out = new Float32Array(values.length)
+  for (let i = 0; i < n; i++) {
+    for (let c = 0; c < k; c++) out[c * n + i] = values[i * k + c]
+  }
+  return out
+}
+
+function fromClassMajor(values, k) {
+  if (k === 1) return values
+  const n = values.length / k
+  const out = new Float64Array(values.length)
+  for (let i = 0; i < n; i++) {
+    for (let c = 0; c < k; c++) out[i * k + c] = values[c * n + i]
+  }
+  return out
+}
+
+// Dataset instances and raw handles are both accepted where LightGBM takes
+// a DatasetHandle
+function datasetHandle(data) {
+  return typeof data === 'number' ? data : data.handle
+}
+
 // Internal sentinel for loadModel path
 const LOAD_SENTINEL = Symbol('load')
 
@@ -33,9 +94,9 @@ class Booster {
   #freed = false
   #ptrRef = null
 
-  constructor(trainDataHandle, paramsStr) {
+  constructor(trainData, paramsStr) {
     // Internal path: loadModel passes sentinel + handle
-    if (trainDataHandle === LOAD_SENTINEL) {
+    if (trainData === LOAD_SENTINEL) {
       this.#handle = paramsStr // second arg holds the handle
       this.#freed = false
       this.#ptrRef = [this.#handle]
@@ -52,7 +113,7 @@ class Booster {
     const outPtr = wasm._malloc(4)
 
     const ret = withCString(wasm, paramsStr, (paramsPtr) =>
-      wasm._wl_lgb_booster_create(trainDataHandle, paramsPtr, outPtr)
+      wasm._wl_lgb_booster_create(datasetHandle(trainData), paramsPtr, outPtr)
     )
 
     if (ret !== 0) {
@@ -93,6 +154,159 @@ class Booster {
     return finished !== 0
   }
 
+  // One iteration with caller-supplied gradients (custom objective). grad
+  // and hess are row-major, numData * numClass values, as returned by
+  // getPredict(0). Create the booster with objective=none.
+  updateCustom(grad, hess) {
+    const wasm = getWasm()
+    const n = this.getNumPredict(0)
+    if (grad.length !== n || hess.length !== n) {
+      throw new Error(`Booster updateCustom expects ${n} gradients and hessians, got ${grad.length} and ${hess.length}`)
+    }
+    const k = this.getNumClasses()
+    const gradArr = toClassMajor(grad, k)
+    const hessArr = toClassMajor(hess, k)
+
+    const gradPtr = wasm._malloc(Math.max(n, 1) * 4)
+    wasm.HEAPF32.set(gradArr, gradPtr / 4)
+    const hessPtr = wasm._malloc(Math.max(n, 1) * 4)
+    wasm.HEAPF32.set(hessArr, hessPtr / 4)
+    const finishedPtr = wasm._malloc(4)
+    wasm.setValue(finishedPtr, 0, 'i32')
+
+    const ret = wasm._wl_lgb_booster_update_custom(this.handle, gradPtr, hessPtr, finishedPtr)
+    const finished = wasm.getValue(finishedPtr, 'i32')
+    wasm._free(gradPtr)
+    wasm._free(hessPtr)
+    wasm._free(finishedPtr)
+
+    if (ret !== 0) {
+      throw new Error(`Booster updateCustom failed: ${getLastError(wasm)}`)
+    }
+    return finished !== 0
+  }
+
+  // validData must be built with { reference: <training Dataset> } so its
+  // bins match the training data's; LightGBM rejects any other Dataset.
+  // Metrics for it are then available as getEval(1), getEval(2), ...
+  addValidData(validData) {
+    const wasm = getWasm()
+    const ret = wasm._wl_lgb_booster_add_valid_data(this.handle, datasetHandle(validData))
+    if (ret !== 0) {
+      throw new Error(`Booster addValidData failed: ${getLastError(wasm)}`)
+    }
+  }
+
+  // Prepends other's trees to this booster's, as LightGBM does for
+  // init_model. other is left untouched and can be disposed afterwards.
+  merge(other) {
+    const wasm = getWasm()
+    const ret = wasm._wl_lgb_booster_merge(this.handle, other.handle)
+    if (ret !== 0) {
+      throw new Error(`Booster merge failed: ${getLastError(wasm)}`)
+    }
+  }
+
+  // Re-estimate leaf outputs on this booster's training data, keeping the
+  // tree structure (refit_decay_rate weighs the old outputs). leafPreds are
+  // the training rows' leaf indices, row-major nrow * numTrees.
+  refit(leafPreds, nrow) {
+    const wasm = getWasm()
+    const ncol = leafPreds.length / nrow
+    if (!Number.isInteger(ncol)) {
+      throw new Error(`Booster refit: ${leafPreds.length} leaf indices is not a multiple of nrow (${nrow})`)
+    }
+    const arr = leafPreds instanceof Int32Array ? leafPreds : Int32Array.from(leafPreds)
+    const ptr = wasm._malloc(Math.max(arr.length, 1) * 4)
+    wasm.HEAP32.set(arr, ptr / 4)
+
+    const ret = wasm._wl_lgb_booster_refit(this.handle, ptr, nrow, ncol)
+    wasm._free(ptr)
+
+    if (ret !== 0) {
+      throw new Error(`Booster refit failed: ${getLastError(wasm)}`)
+    }
+  }
+
+  getEvalNames() {
+    const wasm = getWasm()
+    const bytes = readString(wasm, 'getEvalNames', (bufLen, outLenPtr, bufPtr) =>
+      wasm._wl_lgb_booster_get_eval_names(this.handle, bufLen, outLenPtr, bufPtr)
+    )
+    const joined = new TextDecoder().decode(bytes)
+    return joined ? joined.split('\t') : []
+  }
+
+  // dataIdx 0 is the training data, 1.. are validation sets in the order
+  // they were added. Values are aligned with getEvalNames().
+  getEval(dataIdx) {
+    const wasm = getWasm()
+    const countPtr = wasm._malloc(4)
+    let ret = wasm._wl_lgb_booster_get_eval_counts(this.handle, countPtr)
+    const count = wasm.getValue(countPtr, 'i32')
+    wasm._free(countPtr)
+
+    if (ret !== 0) {
+      throw new Error(`Booster getEval failed: ${getLastError(wasm)}`)
+    }
+
+    const outLenPtr = wasm._malloc(4)
+    const outPtr = wasm._malloc(Math.max(count, 1) * 8)
+    ret = wasm._wl_lgb_booster_get_eval(this.handle, dataIdx, outLenPtr, outPtr)
+    const outLen = wasm.getValue(outLenPtr, 'i32')
+    wasm._free(outLenPtr)
+
+    if (ret !== 0) {
+      wasm._free(outPtr)
+      throw new Error(`Booster getEval failed: ${getLastError(wasm)}`)
+    }
+
+    const result = new Float64Array(outLen)
+    result.set(wasm.HEAPF64.subarray(outPtr / 8, outPtr / 8 + outLen))
+    wasm._free(outPtr)
+
+    return result
+  }
+
+  // Number of scores getPredict(dataIdx) returns (numData * numClass)
+  getNumPredict(dataIdx) {
+    const wasm = getWasm()
+    const outLenPtr = wasm._malloc(4)
+
+    const ret = wasm._wl_lgb_booster_get_num_predict(this.handle, dataIdx, outLenPtr)
+    const outLen = wasm.getValue(outLenPtr, 'i32')
+    wasm._free(outLenPtr)
+
+    if (ret !== 0) {
+      throw new Error(`Booster getNumPredict failed: ${getLastError(wasm)}`)
+    }
+    return outLen
+  }
+
+  // Current scores for the training data (dataIdx 0) or a validation set
+  // (1..), after the objective's output transform (raw for
+  // objective=custom). Row-major like predict(): numData * numClass values.
+  getPredict(dataIdx) {
+    const wasm = getWasm()
+    const n = this.getNumPredict(dataIdx)
+    const outLenPtr = wasm._malloc(4)
+    const outPtr = wasm._malloc(Math.max(n, 1) * 8)
+
+    const ret = wasm._wl_lgb_booster_get_predict(this.handle, dataIdx, outLenPtr, outPtr)
+    const outLen = wasm.getValue(outLenPtr, 'i32')
+    wasm._free(outLenPtr)
+
+    if (ret !== 0) {
+      wasm._free(outPtr)
+      throw new Error(`Booster getPredict failed: ${getLastError(wasm)}`)
+    }
+
+    const classMajor = wasm.HEAPF64.slice(outPtr / 8, outPtr / 8 + outLen)
+    wasm._free(outPtr)
+
+    return fromClassMajor(classMajor, this.getNumClasses())
+  }
+
   getNumClasses() {
     const wasm = getWasm()
     const outPtr = wasm._malloc(4)
@@ -107,85 +321,207 @@ class Booster {
     return nc
   }
 
-  predict(data, nrow, ncol, { predictType = 0, numIteration = 0 } = {}) {
+  getNumFeature() {
     const wasm = getWasm()
+    const outPtr = wasm._malloc(4)
 
-    // Copy float32 data to WASM heap
-    const dataPtr = wasm._malloc(data.length * 4)
-    wasm.HEAPF32.set(data, dataPtr / 4)
+    const ret = wasm._wl_lgb_booster_get_num_feature(this.handle, outPtr)
+    const n = wasm.getValue(outPtr, 'i32')
+    wasm._free(outPtr)
 
-    // Output length
-    const outLenPtr = wasm._malloc(4)
+    if (ret !== 0) {
+      throw new Error(`Booster getNumFeature failed: ${getLastError(wasm)}`)
+    }
+    return n
+  }
 
-    // Allocate output buffer (estimate: nrow * numClasses)
-    // For safety, allocate max(nrow * max_classes, nrow * 100)
-    const maxOut = nrow * 100
-    const outResultPtr = wasm._malloc(maxOut * 8)
+  // Undo the last boosting iteration (its trees and their contribution to
+  // the training and validation scores)
+  rollback() {
+    const wasm = getWasm()
+    const ret = wasm._wl_lgb_booster_rollback(this.handle)
+    if (ret !== 0) {
+      throw new Error(`Booster rollback failed: ${getLastError(wasm)}`)
+    }
+  }
 
-    const ret = withCString(wasm, '', (paramPtr) =>
-      wasm._wl_lgb_booster_predict(
-        this.handle, dataPtr, nrow, ncol,
-        predictType, numIteration, paramPtr,
-        outLenPtr, outResultPtr
-      )
-    )
+  // Number of boosting iterations in the model
+  get currentIteration() {
+    const wasm = getWasm()
+    const outPtr = wasm._malloc(4)
 
-    wasm._free(dataPtr)
+    const ret = wasm._wl_lgb_booster_get_current_iteration(this.handle, outPtr)
+    const n = wasm.getValue(outPtr, 'i32')
+    wasm._free(outPtr)
 
     if (ret !== 0) {
-      wasm._free(outLenPtr)
-      wasm._free(outResultPtr)
-      throw new Error(`Booster predict failed: ${getLastError(wasm)}`)
+      throw new Error(`Booster currentIteration failed: ${getLastError(wasm)}`)
     }
+    return n
+  }
 
-    const outLen = wasm.getValue(outLenPtr, 'i32')
-    wasm._free(outLenPtr)
+  // type 'split' counts how often a feature is used, 'gain' sums the loss
+  // reduction of those splits. numIteration <= 0 uses all iterations.
+  featureImportance({ type = 'split', numIteration = 0 } = {}) {
+    if (type !== 'split' && type !== 'gain') {
+      throw new Error(`Unknown importance type: '${type}'. Use 'split' or 'gain'.`)
+    }
+    const wasm = getWasm()
+    const n = this.getNumFeature()
+    const outPtr = wasm._malloc(Math.max(n, 1) * 8)
 
-    // Copy results
-    const result = new Float64Array(outLen)
-    for (let i = 0; i < outLen; i++) {
-      result[i] = wasm.HEAPF64[outResultPtr / 8 + i]
+    const ret = wasm._wl_lgb_booster_feature_importance(
+      this.handle, numIteration, type === 'gain' ? 1 : 0, outPtr
+    )
+
+    if (ret !== 0) {
+      wasm._free(outPtr)
+      throw new Error(`Booster featureImportance failed: ${getLastError(wasm)}`)
     }
-    wasm._free(outResultPtr)
+
+    const result = new Float64Array(n)
+    result.set(wasm.HEAPF64.subarray(outPtr / 8, outPtr / 8 + n))
+    wasm._free(outPtr)
 
     return result
   }
 
-  saveModel() {
+  // layout 'col' reads data column-major (ncol blocks of nrow values);
+  // results are row-major either way
+  predict(data, nrow, ncol, { predictType = 0, startIteration = 0, numIteration = 0, layout = 'row' } = {}) {
+    if (layout !== 'row' && layout !== 'col') {
+      throw new Error(`Booster predict: layout must be 'row' or 'col', got '${layout}'`)
+    }
     const wasm = getWasm()
 
-    // First pass: get required buffer length
+    const { ptr: dataPtr, dtype } = copyDense(wasm, data)
+
+    try {
+      const opts = { predictType, startIteration, numIteration }
+      return this.#runPredict(wasm, nrow, opts, (paramPtr, outLenPtr, outResultPtr) =>
+        wasm._wl_lgb_booster_predict(
+          this.handle, dataPtr, dtype, nrow, ncol, layout === 'row' ? 1 : 0,
+          predictType, startIteration, numIteration, paramPtr,
+          outLenPtr, outResultPtr
+        )
+      )
+    } finally {
+      wasm._free(dataPtr)
+    }
+  }
+
+  // CSR: indptr has nrow + 1 entries, indices are column indices
+  predictCSR({ indptr, indices, values, cols }, { predictType = 0, startIteration = 0, numIteration = 0 } = {}) {
+    const wasm = getWasm()
+    const nrow = indptr.length - 1
+    const { ptrPtr, idxPtr, valPtr, dtype, nptr, nelem } = copySparse(wasm, indptr, indices, values)
+
+    try {
+      const opts = { predictType, startIteration, numIteration }
+      return this.#runPredict(wasm, nrow, opts, (paramPtr, outLenPtr, outResultPtr) =>
+        wasm._wl_lgb_booster_predict_csr(
+          this.handle, ptrPtr, idxPtr, valPtr, dtype, nptr, nelem, cols,
+          predictType, startIteration, numIteration, paramPtr,
+          outLenPtr, outResultPtr
+        )
+      )
+    } finally {
+      wasm._free(ptrPtr)
+      wasm._free(idxPtr)
+      wasm._free(valPtr)
+    }
+  }
+
+  // CSC: indptr has ncol + 1 entries, indices are row indices
+  predictCSC({ indptr, indices, values, rows }, { predictType = 0, startIteration = 0, numIteration = 0 } = {}) {
+    const wasm = getWasm()
+    const { ptrPtr, idxPtr, valPtr, dtype, nptr, nelem } = copySparse(wasm, indptr, indices, values)
+
+    try {
+      const opts = { predictType, startIteration, numIteration }
+      return this.#runPredict(wasm, rows, opts, (paramPtr, outLenPtr, outResultPtr) =>
+        wasm._wl_lgb_booster_predict_csc(
+          this.handle, ptrPtr, idxPtr, valPtr, dtype, nptr, nelem, rows,
+          predictType, startIteration, numIteration, paramPtr,
+          outLenPtr, outResultPtr
+        )
+      )
+    } finally {
+      wasm._free(ptrPtr)
+      wasm._free(idxPtr)
+      wasm._free(valPtr)
+    }
+  }
+
+  // Number of doubles a predict call over nrow rows writes. Depends on
+  // predictType: leaf indices and contributions are much wider than scores.
+  calcNumPredict(nrow, { predictType = 0, startIteration = 0, numIteration = 0 } = {}) {
+    const wasm = getWasm()
     const outLenPtr = wasm._malloc(4)
-    let ret = wasm._wl_lgb_booster_save_model(this.handle, 0, outLenPtr, 0)
+
+    const ret = wasm._wl_lgb_booster_calc_num_predict(
+      this.handle, nrow, predictType, startIteration, numIteration, outLenPtr
+    )
+    const outLen = wasm.getValue(outLenPtr, 'i32')
+    wasm._free(outLenPtr)
 
     if (ret !== 0) {
-      wasm._free(outLenPtr)
-      throw new Error(`Booster saveModel (size query) failed: ${getLastError(wasm)}`)
+      throw new Error(`Booster calcNumPredict failed: ${getLastError(wasm)}`)
     }
+    return outLen
+  }
 
-    const bufLen = wasm.getValue(outLenPtr, 'i32')
+  #runPredict(wasm, nrow, { predictType, startIteration, numIteration }, call) {
+    // Output length
+    const outLenPtr = wasm._malloc(4)
+
+    // Allocate the exact output size for this predict type
+    const maxOut = this.calcNumPredict(nrow, { predictType, startIteration, numIteration })
+    const outResultPtr = wasm._malloc(Math.max(maxOut, 1) * 8)
 
-    // Second pass: get actual model string
-    const bufPtr = wasm._malloc(bufLen)
-    ret = wasm._wl_lgb_booster_save_model(this.handle, bufLen, outLenPtr, bufPtr)
+    const ret = withCString(wasm, '', (paramPtr) =>
+      call(paramPtr, outLenPtr, outResultPtr)
+    )
 
     if (ret !== 0) {
       wasm._free(outLenPtr)
-      wasm._free(bufPtr)
-      throw new Error(`Booster saveModel failed: ${getLastError(wasm)}`)
+      wasm._free(outResultPtr)
+      throw new Error(`Booster predict failed: ${getLastError(wasm)}`)
     }
 
-    const actualLen = wasm.getValue(outLenPtr, 'i32')
+    const outLen = wasm.getValue(outLenPtr, 'i32')
     wasm._free(outLenPtr)
 
-    // Copy to JS Uint8Array (text model, null-terminated)
-    const result = new Uint8Array(actualLen - 1) // exclude null terminator
-    result.set(wasm.HEAPU8.subarray(bufPtr, bufPtr + actualLen - 1))
-    wasm._free(bufPtr)
+    // Copy results
+    const result = new Float64Array(outLen)
+    result.set(wasm.HEAPF64.subarray(outResultPtr / 8, outResultPtr / 8 + outLen))
+    wasm._free(outResultPtr)
 
     return result
   }
 
+  saveModel({ startIteration = 0, numIteration = 0 } = {}) {
+    const wasm = getWasm()
+    return readString(wasm, 'saveModel', (bufLen, outLenPtr, bufPtr) =>
+      wasm._wl_lgb_booster_save_model(
+        this.handle, startIteration, numIteration, bufLen, outLenPtr, bufPtr
+      )
+    )
+  }
+
+  // LightGBM's JSON dump, parsed: header fields plus tree_info[] with nested
+  // tree_structure nodes (split_feature, threshold, decision_type,
+  // default_left, missing_type, leaf_value, ...)
+  dumpModel({ startIteration = 0, numIteration = 0 } = {}) {
+    const wasm = getWasm()
+    const bytes = readString(wasm, 'dumpModel', (bufLen, outLenPtr, bufPtr) =>
+      wasm._wl_lgb_booster_dump_model(
+        this.handle, startIteration, numIteration, bufLen, outLenPtr, bufPtr
+      )
+    )
+    return JSON.parse(new TextDecoder().decode(bytes))
+  }
+
   static loadModel(modelBytes) {
     const wasm = getWasm()
 
@@ -0,0 +1,46 @@
+// Category encoding for string-valued categorical columns
+//
+// LightGBM splits categorical features on non-negative integer codes. Columns
+// holding strings get a code table learned during fit (sorted distinct
+// values, code = position). At predict time, values missing from the table
+// and null/undefined encode as NaN, which LightGBM sends down the same branch
+// as any category that is not part of a split.
+
+// Learn code tables for the categorical columns of a row array. Columns that
+// only hold numbers are left to LightGBM as-is and get no table.
+// Returns { [col]: string[] }.
+function learnCategories(X, catCols) {
+  const categories = {}
+  for (const j of catCols) {
+    let hasString = false
+    const seen = new Set()
+    for (let i = 0; i < X.length; i++) {
+      const v = X[i][j]
+      if (v === null || v === undefined) continue
+      if (typeof v === 'string') hasString = true
+      seen.add(String(v))
+    }
+    if (hasString) categories[j] = [...seen].sort()
+  }
+  return categories
+}
+
+// Per-column lookup maps (sparse array indexed by column) for encodeCategory
+function buildLookups(categories, cols) {
+  const lookups = new Array(cols)
+  if (!categories) return lookups
+  for (const [col, values] of Object.entries(categories)) {
+    const map = new Map()
+    for (let k = 0; k < values.length; k++) map.set(values[k], k)
+    lookups[Number(col)] = map
+  }
+  return lookups
+}
+
+function encodeCategory(lookup, v) {
+  if (v === null || v === undefined) return NaN
+  const code = lookup.get(String(v))
+  return code === undefined ? NaN : code
+}
+
+module.exports = { learnCategories, buildLookups, encodeCategory }
@@ -0,0 +1,94 @@
+// Fold assignment and aggregation for LGBModel.cv
+//
+// Folds are lists of held-out row indices (sorted, as LightGBM's
+// DatasetGetSubset expects). With query groups whole queries are assigned to
+// folds; with stratification each class is dealt round-robin across folds.
+
+const { makeRng } = require('./rng.js')
+
+function shuffleInPlace(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1))
+    const tmp = arr[i]
+    arr[i] = arr[j]
+    arr[j] = tmp
+  }
+  return arr
+}
+
+// labels: class indices when stratified. group: query sizes or null.
+// Returns nfold sorted Int32Arrays of held-out rows.
+function makeFolds(rows, nfold, { labels, stratified, shuffle, seed, group }) {
+  if (!Number.isInteger(nfold) || nfold < 2) {
+    throw new Error(`nfold must be an integer >= 2, got ${nfold}`)
+  }
+  const rng = makeRng(seed)
+
+  // Units are rows, or queries when grouped; unitRows maps a unit to rows
+  let units
+  let unitRows
+  if (group) {
+    units = Array.from(group.keys())
+    const starts = new Int32Array(group.length)
+    for (let q = 1; q < group.length; q++) starts[q] = starts[q - 1] + group[q - 1]
+    unitRows = (q) => Array.from({ length: group[q] }, (_, k) => starts[q] + k)
+  } else {
+    units = Array.from({ length: rows }, (_, i) => i)
+    unitRows = (i) => [i]
+  }
+  if (units.length < nfold) {
+    throw new Error(`nfold (${nfold}) exceeds the number of ${group ? 'queries' : 'rows'} (${units.length})`)
+  }
+
+  const assigned = Array.from({ length: nfold }, () => [])
+  if (stratified) {
+    const byClass = new Map()
+    for (const i of units) {
+      const c = labels[i]
+      if (!byClass.has(c)) byClass.set(c, [])
+      byClass.get(c).push(i)
+    }
+    let next = 0
+    for (const c of [...byClass.keys()].sort((a, b) => a - b)) {
+      const members = byClass.get(c)
+      if (shuffle) shuffleInPlace(members, rng)
+      for (const i of members) {
+        assigned[next].push(i)
+        next = (next + 1) % nfold
+      }
+    }
+  } else {
+    if (shuffle) shuffleInPlace(units, rng)
+    for (let f = 0; f < nfold; f++) {
+      const lo = Math.floor(f * units.length / nfold)
+      const hi = Math.floor((f + 1) * units.length / nfold)
+      assigned[f] = units.slice(lo, hi)
+    }
+  }
+
+  return assigned.map(fold => Int32Array.from(fold.flatMap(unitRows)).sort())
+}
+
+// Rows not in the (sorted) held-out fold
+function complement(rows, fold) {
+  const out = new Int32Array(rows - fold.length)
+  let k = 0
+  let f = 0
+  for (let i = 0; i < rows; i++) {
+    if (f < fold.length && fold[f] === i) f++
+    else out[k++] = i
+  }
+  return out
+}
+
+// Mean and population standard deviation
+function meanStd(values) {
+  let mean = 0
+  for (const v of values) mean += v
+  mean /= values.length
+  let sq = 0
+  for (const v of values) sq += (v - mean) ** 2
+  return { mean, std: Math.sqrt(sq / values.length) }
+}
+
+module.exports = { makeFolds, complement, meanStd }
@@ -1,4 +1,6 @@
 const { getWasm } = require('./wasm.js')
+const { copyDense, copySparse } = require('./heap.js')
+const { makeRng } = require('./rng.js')
 
 // FinalizationRegistry safety net
 const registry = typeof FinalizationRegistry !== 'undefined'
@@ -25,24 +27,115 @@ function getLastError(wasm) {
   return wasm.UTF8ToString(wasm._wl_lgb_get_last_error())
 }
 
+// A fromChunks chunk { data, cols?, label?, weight? } as float32 rows, or
+// float64 for a Float64Array
+function readChunk(chunk, ncol) {
+  const cols = chunk.cols ?? ncol
+  if (!Number.isInteger(cols) || cols <= 0) {
+    throw new Error('Dataset.fromChunks needs ncol, or a cols field on every chunk')
+  }
+  if (ncol !== undefined && cols !== ncol) {
+    throw new Error(`Dataset.fromChunks: chunk has ${cols} columns, expected ${ncol}`)
+  }
+  const data = chunk.data instanceof Float32Array || chunk.data instanceof Float64Array
+    ? chunk.data
+    : new Float32Array(chunk.data)
+  const rows = data.length / cols
+  if (!Number.isInteger(rows)) {
+    throw new Error(`Dataset.fromChunks: chunk of ${data.length} values is not a multiple of ${cols} columns`)
+  }
+  for (const field of ['label', 'weight']) {
+    if (chunk[field] != null && chunk[field].length !== rows) {
+      throw new Error(`Dataset.fromChunks: chunk ${field} has ${chunk[field].length} entries for ${rows} rows`)
+    }
+  }
+  return { data, rows, cols, label: chunk.label ?? null, weight: chunk.weight ?? null }
+}
+
+const FROM_CHUNKS_OPTIONS = new Set(['ncol', 'nrow', 'params', 'reference', 'sampleRows'])
+
+// Rows sampled for bin boundaries: sampleRows, else the
+// bin_construct_sample_cnt param (alias subsample_for_bin), else LightGBM's
+// default of 200000
+function binSampleCount(params, sampleRows) {
+  const match = /(?:^|\s)(?:bin_construct_sample_cnt|subsample_for_bin)=(\S+)/.exec(params)
+  const [what, value] = sampleRows !== undefined
+    ? ['sampleRows', sampleRows]
+    : ['bin_construct_sample_cnt', match ? match[1] : 200000]
+  const n = Number(value)
+  if (!(Number.isInteger(n) && n > 0)) {
+    throw new Error(`Dataset.fromChunks: ${what} must be a positive integer, got ${value}`)
+  }
+  return n
+}
+
+// Sample buffer with room for rows rows of chunk data, keeping its
+// contents. Grown geometrically up to cap rows, so short streams never
+// allocate the full sample size, and widened to float64 once a Float64Array
+// chunk is sampled.
+function growSample(sample, rows, ncol, cap, data) {
+  const wide = data instanceof Float64Array || sample instanceof Float64Array
+  if (sample && sample.length >= rows * ncol && (!wide || sample instanceof Float64Array)) return sample
+  const capacity = Math.min(cap, Math.max(rows, sample ? 2 * sample.length / ncol : 0))
+  const out = new (wide ? Float64Array : Float32Array)(capacity * ncol)
+  if (sample) out.set(sample)
+  return out
+}
+
+// Counting pass over re-readable chunks: row count, column count and a
+// uniform sample of up to sampleCount rows (reservoir sampling)
+async function scanChunks(chunks, ncol, sampleCount) {
+  const rng = makeRng(0)
+  let sample = null
+  let rows = 0
+  for await (const raw of chunks) {
+    const chunk = readChunk(raw, ncol)
+    ncol = chunk.cols
+    if (sampleCount > 0) {
+      sample = growSample(sample, Math.min(rows + chunk.rows, sampleCount), ncol, sampleCount, chunk.data)
+    }
+    for (let i = 0; i < chunk.rows; i++, rows++) {
+      const slot = rows < sampleCount ? rows : Math.floor(rng() * (rows + 1))
+      if (slot < sampleCount) sample.set(chunk.data.subarray(i * ncol, (i + 1) * ncol), slot * ncol)
+    }
+  }
+  const nsample = Math.min(rows, sampleCount)
+  return { rows, ncol, sample: sample ? sample.subarray(0, nsample * ncol) : null, nsample }
+}
+
+// Internal sentinel for factory paths that already hold a handle
+const HANDLE_SENTINEL = Symbol('handle')
+
 class Dataset {
   #handle = null
   #freed = false
   #ptrRef = null
 
-  constructor(data, nrow, ncol, params = '') {
+  // layout 'col' reads data column-major (ncol blocks of nrow values)
+  constructor(data, nrow, ncol, params = '', { reference = null, layout = 'row' } = {}) {
+    // Internal path: factories pass sentinel + handle
+    if (data === HANDLE_SENTINEL) {
+      this.#adopt(nrow) // second arg holds the handle
+      return
+    }
+    if (layout !== 'row' && layout !== 'col') {
+      throw new Error(`Dataset layout must be 'row' or 'col', got '${layout}'`)
+    }
+
     const wasm = getWasm()
 
-    // Copy float32 data to WASM heap
-    const dataBytes = data.length * 4
-    const dataPtr = wasm._malloc(dataBytes)
-    wasm.HEAPF32.set(data, dataPtr / 4)
+    // Validation data must reuse the training set's bin mappers
+    const refHandle = reference ? reference.handle : 0
+
+    const { ptr: dataPtr, dtype } = copyDense(wasm, data)
 
     // Output handle pointer
     const outPtr = wasm._malloc(4)
 
     const ret = withCString(wasm, params, (paramsPtr) =>
-      wasm._wl_lgb_dataset_create_from_mat(dataPtr, nrow, ncol, paramsPtr, outPtr)
+      wasm._wl_lgb_dataset_create_from_mat(
+        dataPtr, dtype, nrow, ncol, layout === 'row' ? 1 : 0, paramsPtr, refHandle, outPtr
+      )
     )
 
     if (ret !== 0) {
@@ -51,10 +144,243 @@ class Dataset {
       throw new Error(`Dataset creation failed: ${getLastError(wasm)}`)
     }
 
-    this.#handle = wasm.getValue(outPtr, 'i32')
+    const handle = wasm.getValue(outPtr, 'i32')
     wasm._free(dataPtr)
     wasm._free(outPtr)
 
+    this.#adopt(handle)
+  }
+
+  // CSR: indptr has nrow + 1 entries, indices are column indices
+  static fromCSR({ indptr, indices, values, cols }, params = '', { reference = null } = {}) {
+    return Dataset.#fromSparse('csr', indptr, indices, values, cols, params, reference)
+  }
+
+  // CSC: indptr has ncol + 1 entries, indices are row indices
+  static fromCSC({ indptr, indices, values, rows }, params = '', { reference = null } = {}) {
+    return Dataset.#fromSparse('csc', indptr, indices, values, rows, params, reference)
+  }
+
+  // Streaming construction for data too large to hold twice. chunks is an
+  // async (or sync) iterable of row batches { data, cols?, label?, weight? }
+  // with data row-major, or a function returning a fresh one. Bins come from
+  // a sample of sampleRows rows (or from reference), then every batch is
+  // pushed into the binned Dataset and can be dropped: peak memory is about
+  // the sample, one batch and the Dataset. No batch is kept past the next
+  // read, so a source may reuse one buffer.
+  //
+  // LightGBM needs the row count up front. Without nrow, chunks must be a
+  // function: a first pass counts the rows and draws a uniform sample. With
+  // nrow a single pass suffices and the sample is the first rows, which are
+  // pushed from the sample once the Dataset exists.
+  static async fromChunks(chunks, opts = {}) {
+    for (const key of Object.keys(opts)) {
+      if (!FROM_CHUNKS_OPTIONS.has(key)) throw new Error(`Dataset.fromChunks: unknown option '${key}'`)
+    }
+    let { ncol } = opts
+    const { nrow, params = '', reference = null, sampleRows } = opts
+    const open = typeof chunks === 'function' ? chunks : () => chunks
+    const sampleCount = reference ? 0 : binSampleCount(params, sampleRows)
+
+    let total = nrow
+    let scanned = null
+    if (total === undefined) {
+      if (typeof chunks !== 'function') {
+        throw new Error('Dataset.fromChunks needs nrow, or a function returning the chunks so they can be counted first')
+      }
+      scanned = await scanChunks(open(), ncol, sampleCount)
+      total = scanned.rows
+      ncol = scanned.ncol
+    }
+    if (!(Number.isInteger(total) && total > 0)) {
+      throw new Error(`Dataset.fromChunks: expected a positive row count, got ${total}`)
+    }
+
+    let ds = null
+    const create = (sample, nsample) => {
+      ds = reference
+        ? Dataset.#byReference(reference, total)
+        : Dataset.#fromSample(sample, nsample, ncol, total, params)
+    }
+
+    // label and weight are copied as each chunk is read and set once all
+    // rows are in
+    let seen = 0
+    let label = null
+    let weight = null
+    let given = null // which of label / weight the first chunk has
+    const gather = (chunk) => {
+      if (seen + chunk.rows > total) {
+        throw new Error(`Dataset.fromChunks: chunks hold more than ${total} rows`)
+      }
+      if (!given) given = { label: chunk.label !== null, weight: chunk.weight !== null }
+      for (const field of ['label', 'weight']) {
+        if ((chunk[field] !== null) !== given[field]) {
+          throw new Error(`Dataset.fromChunks: ${field} must be given for every chunk or none`)
+        }
+      }
+      if (chunk.label) {
+        if (!label) label = new Float32Array(total)
+        label.set(chunk.label, seen)
+      }
+      if (chunk.weight) {
+        if (!weight) weight = new Float32Array(total)
+        weight.set(chunk.weight, seen)
+      }
+      seen += chunk.rows
+    }
+
+    try {
+      if (scanned || reference) create(scanned && scanned.sample, scanned ? scanned.nsample : 0)
+
+      // Single pass without reference: the first rows are copied into the
+      // sample until it is complete, then pushed from there
+      const sampleCap = Math.min(sampleCount, total)
+      let sample = null
+      let nsample = 0
+      for await (const raw of open()) {
+        const chunk = readChunk(raw, ncol)
+        ncol = chunk.cols
+        const start = seen
+        gather(chunk)
+        if (ds) {
+          ds.#pushRows(chunk.data, chunk.rows, ncol, start)
+          continue
+        }
+        const take = Math.min(chunk.rows, sampleCap - nsample)
+        sample = growSample(sample, nsample + take, ncol, sampleCap, chunk.data)
+        sample.set(chunk.data.subarray(0, take * ncol), nsample * ncol)
+        nsample += take
+        if (nsample === sampleCap) {
+          create(sample, nsample)
+          ds.#pushRows(sample.subarray(0, nsample * ncol), nsample, ncol, 0)
+          sample = null
+          if (take < chunk.rows) {
+            ds.#pushRows(chunk.data.subarray(take * ncol), chunk.rows - take, ncol, start + take)
+          }
+        }
+      }
+
+      if (seen !== total) {
+        throw new Error(`Dataset.fromChunks: chunks hold ${seen} rows, expected ${total}`)
+      }
+      if (label) ds.setLabel(label)
+      if (weight) ds.setWeight(weight)
+      return ds
+    } catch (err) {
+      if (ds) ds.dispose()
+      throw err
+    }
+  }
+
+  static #fromSample(sample, nsample, ncol, total, params) {
+    const wasm = getWasm()
+    const { ptr: samplePtr, dtype } = copyDense(wasm, sample)
+    const outPtr = wasm._malloc(4)
+
+    const ret = withCString(wasm, params, (paramsPtr) =>
+      wasm._wl_lgb_dataset_create_from_sample(samplePtr, dtype, nsample, ncol, total, paramsPtr, outPtr)
+    )
+    wasm._free(samplePtr)
+
+    if (ret !== 0) {
+      wasm._free(outPtr)
+      throw new Error(`Dataset creation (streaming) failed: ${getLastError(wasm)}`)
+    }
+
+    const handle = wasm.getValue(outPtr, 'i32')
+    wasm._free(outPtr)
+
+    return new Dataset(HANDLE_SENTINEL, handle)
+  }
+
+  static #byReference(reference, total) {
+    const wasm = getWasm()
+    const outPtr = wasm._malloc(4)
+
+    const ret = wasm._wl_lgb_dataset_create_by_reference(reference.handle, total, outPtr)
+    if (ret !== 0) {
+      wasm._free(outPtr)
+      throw new Error(`Dataset creation (streaming) failed: ${getLastError(wasm)}`)
+    }
+
+    const handle = wasm.getValue(outPtr, 'i32')
+    wasm._free(outPtr)
+
+    return new Dataset(HANDLE_SENTINEL, handle)
+  }
+
+  // Bin rows [startRow, startRow + nrow); the last push finishes the Dataset
+  #pushRows(data, nrow, ncol, startRow) {
+    const wasm = getWasm()
+    const { ptr, dtype } = copyDense(wasm, data)
+
+    const ret = wasm._wl_lgb_dataset_push_rows(this.handle, ptr, dtype, nrow, ncol, startRow)
+    wasm._free(ptr)
+
+    if (ret !== 0) {
+      throw new Error(`Dataset pushRows failed: ${getLastError(wasm)}`)
+    }
+  }
+
+  static #fromSparse(format, indptr, indices, values, otherDim, params, reference) {
+    const wasm = getWasm()
+    const refHandle = reference ? reference.handle : 0
+    const { ptrPtr, idxPtr, valPtr, dtype, nptr, nelem } = copySparse(wasm, indptr, indices, values)
+    const outPtr = wasm._malloc(4)
+
+    const create = format === 'csr'
+      ? wasm._wl_lgb_dataset_create_from_csr
+      : wasm._wl_lgb_dataset_create_from_csc
+    const ret = withCString(wasm, params, (paramsPtr) =>
+      create(ptrPtr, idxPtr, valPtr, dtype, nptr, nelem, otherDim, paramsPtr, refHandle, outPtr)
+    )
+
+    wasm._free(ptrPtr)
+    wasm._free(idxPtr)
+    wasm._free(valPtr)
+
+    if (ret !== 0) {
+      wasm._free(outPtr)
+      throw new Error(`Dataset creation (${format.toUpperCase()}) failed: ${getLastError(wasm)}`)
+    }
+
+    const handle = wasm.getValue(outPtr, 'i32')
+    wasm._free(outPtr)
+
+    return new Dataset(HANDLE_SENTINEL, handle)
+  }
+
+  // Rows of this dataset (sorted indices) as a new Dataset sharing its bin
+  // mappers. Labels, weights and query groups are carried over; with groups,
+  // indices must cover whole queries.
+  subset(indices, params = '') {
+    const wasm = getWasm()
+    const idx = indices instanceof Int32Array ? indices : new Int32Array(indices)
+    const idxPtr = wasm._malloc(Math.max(idx.length, 1) * 4)
+    wasm.HEAP32.set(idx, idxPtr / 4)
+    const outPtr = wasm._malloc(4)
+
+    const ret = withCString(wasm, params, (paramsPtr) =>
+      wasm._wl_lgb_dataset_get_subset(this.handle, idxPtr, idx.length, paramsPtr, outPtr)
+    )
+    wasm._free(idxPtr)
+
+    if (ret !== 0) {
+      wasm._free(outPtr)
+      throw new Error(`Dataset subset failed: ${getLastError(wasm)}`)
+    }
+
+    const handle = wasm.getValue(outPtr, 'i32')
+    wasm._free(outPtr)
+
+    return new Dataset(HANDLE_SENTINEL, handle)
+  }
+
+  #adopt(handle) {
+    this.#handle = handle
+    this.#freed = false
+
     // Leak detection
     this.#ptrRef = [this.#handle]
     if (registry) {
@@ -71,20 +397,151 @@ class Dataset {
   }
 
   setLabel(labels) {
+    this.#setFloatField('label', labels, 'setLabel')
+  }
+
+  setWeight(weights) {
+    this.#setFloatField('weight', weights, 'setWeight')
+  }
+
+  // Query group sizes for ranking objectives (consecutive rows, sum = nrow)
+  setGroup(groupSizes) {
+    const wasm = getWasm()
+    const arr = groupSizes instanceof Int32Array ? groupSizes : new Int32Array(groupSizes)
+    const ptr = wasm._malloc(arr.length * 4)
+    wasm.HEAP32.set(arr, ptr / 4)
+
+    // C_API_DTYPE_INT32 = 2
+    const ret = withCString(wasm, 'group', (fieldPtr) =>
+      wasm._wl_lgb_dataset_set_field(this.handle, fieldPtr, ptr, arr.length, 2)
+    )
+
+    wasm._free(ptr)
+
+    if (ret !== 0) {
+      throw new Error(`Dataset setGroup failed: ${getLastError(wasm)}`)
+    }
+  }
+
+  // Starting scores to boost from (e.g. raw predictions of an existing
+  // model), row-major numData * numClass values like predict() output.
+  // LightGBM stores them class-major as float64.
+  setInitScore(scores, numClass = 1) {
+    const wasm = getWasm()
+    const n = scores.length / numClass
+    if (!Number.isInteger(n)) {
+      throw new Error(`Dataset setInitScore: ${scores.length} scores is not a multiple of numClass (${numClass})`)
+    }
+    const ptr = wasm._malloc(Math.max(scores.length, 1) * 8)
+    const heap = wasm.HEAPF64.subarray(ptr / 8, ptr / 8 + scores.length)
+    for (let i = 0; i < n; i++) {
+      for (let c = 0; c < numClass; c++) heap[c * n + i] = scores[i * numClass + c]
+    }
+
+    // C_API_DTYPE_FLOAT64 = 1
+    const ret = withCString(wasm, 'init_score', (fieldPtr) =>
+      wasm._wl_lgb_dataset_set_field(this.handle, fieldPtr, ptr, scores.length, 1)
+    )
+
+    wasm._free(ptr)
+
+    if (ret !== 0) {
+      throw new Error(`Dataset setInitScore failed: ${getLastError(wasm)}`)
+    }
+  }
+
+  // Column names, kept in the model text and JSON dumps of boosters trained
+  // on this dataset (one per feature)
+  setFeatureNames(names) {
+    const wasm = getWasm()
+    const encoder = new TextEncoder()
+    const listPtr = wasm._malloc(Math.max(names.length, 1) * 4)
+    const strPtrs = []
+    try {
+      for (let j = 0; j < names.length; j++) {
+        const bytes = encoder.encode(String(names[j]) + '\0')
+        const ptr = wasm._malloc(bytes.length)
+        strPtrs.push(ptr)
+        wasm.HEAPU8.set(bytes, ptr)
+        wasm.setValue(listPtr + j * 4, ptr, 'i32')
+      }
+
+      const ret = wasm._wl_lgb_dataset_set_feature_names(this.handle, listPtr, names.length)
+      if (ret !== 0) {
+        throw new Error(`Dataset setFeatureNames failed: ${getLastError(wasm)}`)
+      }
+    } finally {
+      for (const ptr of strPtrs) wasm._free(ptr)
+      wasm._free(listPtr)
+    }
+  }
+
+  getNumData() {
+    const wasm = getWasm()
+    const outPtr = wasm._malloc(4)
+
+    const ret = wasm._wl_lgb_dataset_get_num_data(this.handle, outPtr)
+    const n = wasm.getValue(outPtr, 'i32')
+    wasm._free(outPtr)
+
+    if (ret !== 0) {
+      throw new Error(`Dataset getNumData failed: ${getLastError(wasm)}`)
+    }
+    return n
+  }
+
+  getLabel() {
+    return this.#getField('label', 'getLabel')
+  }
+
+  // null when no weights were set
+  getWeight() {
+    return this.#getField('weight', 'getWeight')
+  }
+
+  // Copy of a LightGBM-owned field array; null if the field is empty
+  #getField(field, what) {
+    const wasm = getWasm()
+    const outLenPtr = wasm._malloc(4)
+    const outPtrPtr = wasm._malloc(4)
+    const outTypePtr = wasm._malloc(4)
+
+    const ret = withCString(wasm, field, (fieldPtr) =>
+      wasm._wl_lgb_dataset_get_field(this.handle, fieldPtr, outLenPtr, outPtrPtr, outTypePtr)
+    )
+    const len = wasm.getValue(outLenPtr, 'i32')
+    const ptr = wasm.getValue(outPtrPtr, 'i32')
+    const type = wasm.getValue(outTypePtr, 'i32')
+    wasm._free(outLenPtr)
+    wasm._free(outPtrPtr)
+    wasm._free(outTypePtr)
+
+    if (ret !== 0) {
+      throw new Error(`Dataset ${what} failed: ${getLastError(wasm)}`)
+    }
+    if (len === 0 || ptr === 0) return null
+
+    // C_API_DTYPE_FLOAT32 = 0, FLOAT64 = 1, INT32 = 2
+    if (type === 0) return wasm.HEAPF32.slice(ptr / 4, ptr / 4 + len)
+    if (type === 1) return wasm.HEAPF64.slice(ptr / 8, ptr / 8 + len)
+    return wasm.HEAP32.slice(ptr / 4, ptr / 4 + len)
+  }
+
+  #setFloatField(field, values, what) {
     const wasm = getWasm()
-    const arr = labels instanceof Float32Array ? labels : new Float32Array(labels)
+    const arr = values instanceof Float32Array ? values : new Float32Array(values)
     const ptr = wasm._malloc(arr.length * 4)
     wasm.HEAPF32.set(arr, ptr / 4)
 
     // C_API_DTYPE_FLOAT32 = 0
-    const ret = withCString(wasm, 'label', (fieldPtr) =>
+    const ret = withCString(wasm, field, (fieldPtr) =>
       wasm._wl_lgb_dataset_set_field(this.handle, fieldPtr, ptr, arr.length, 0)
     )
 
     wasm._free(ptr)
 
     if (ret !== 0) {
-      throw new Error(`Dataset setLabel failed: ${getLastError(wasm)}`)
+      throw new Error(`Dataset ${what} failed: ${getLastError(wasm)}`)
     }
   }
 
@@ -0,0 +1,40 @@
+// Copies of JS arrays on the WASM heap, shared by Dataset and Booster
+
+// Copy a dense row-major matrix to the WASM heap. Float64Array input keeps
+// its precision (C_API_DTYPE_FLOAT64); anything else goes through float32.
+// Caller frees ptr.
+function copyDense(wasm, data) {
+  if (data instanceof Float64Array) {
+    const ptr = wasm._malloc(Math.max(data.length, 1) * 8)
+    wasm.HEAPF64.set(data, ptr / 8)
+    return { ptr, dtype: 1 }
+  }
+  const ptr = wasm._malloc(Math.max(data.length, 1) * 4)
+  wasm.HEAPF32.set(data, ptr / 4)
+  return { ptr, dtype: 0 }
+}
+
+// Copy a compressed sparse matrix to the WASM heap: int32 pointer and index
+// arrays, values as float64 for a Float64Array and float32 otherwise (dtype
+// as in copyDense). Caller frees the three pointers.
+function copySparse(wasm, ptr, indices, values) {
+  const ptrArr = ptr instanceof Int32Array ? ptr : new Int32Array(ptr)
+  const idxArr = indices instanceof Int32Array ? indices : new Int32Array(indices)
+  const wide = values instanceof Float64Array
+  const valArr = wide || values instanceof Float32Array ? values : new Float32Array(values)
+  if (idxArr.length !== valArr.length) {
+    throw new Error(`Sparse indices (${idxArr.length}) and values (${valArr.length}) lengths differ`)
+  }
+
+  const ptrPtr = wasm._malloc(ptrArr.length * 4)
+  wasm.HEAP32.set(ptrArr, ptrPtr / 4)
+  const idxPtr = wasm._malloc(Math.max(idxArr.length, 1) * 4)
+  wasm.HEAP32.set(idxArr, idxPtr / 4)
+  const valPtr = wasm._malloc(Math.max(valArr.length, 1) * (wide ? 8 : 4))
+  if (wide) wasm.HEAPF64.set(valArr, valPtr / 8)
+  else wasm.HEAPF32.set(valArr, valPtr / 4)
+
+  return { ptrPtr, idxPtr, valPtr, dtype: wide ? 1 : 0, nptr: ptrArr.length, nelem: valArr.length }
+}
+
+module.exports = { copyDense, copySparse }
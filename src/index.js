@@ -2,8 +2,16 @@ const { LGBModel: LGBModelImpl } = require('./model.js')
 const { loadLGB } = require('./wasm.js')
 const { Dataset } = require('./dataset.js')
 const { Booster } = require('./booster.js')
+const { LGBPredictor } = require('./predictor.js')
+const { LGBWorkerModel } = require('./worker-client.js')
 const { createModelClass } = require('@wlearn/core')
 
 const LGBModel = createModelClass(LGBModelImpl, LGBModelImpl, { name: 'LGBModel', load: loadLGB })
 
-module.exports = { LGBModel, loadLGB, Dataset, Booster }
+// Same model, trained and queried in a worker; every method returns a Promise
+LGBModel.createInWorker = (params, opts) => LGBWorkerModel.create(params, opts)
+
+// k-fold cross-validation on one binned Dataset (see LGBModel.cv in model.js)
+const cv = (params, X, y, opts) => LGBModelImpl.cv(params, X, y, opts)
+
+module.exports = { LGBModel, loadLGB, Dataset, Booster, LGBPredictor, cv }
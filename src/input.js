@@ -0,0 +1,158 @@
+const { buildLookups, encodeCategory } = require('./categorical.js')
+
+// Input normalization shared by LGBModel and LGBPredictor
+//
+// Dense input becomes a row-major Float32Array { data, rows, cols } (a
+// Float64Array is passed through untouched), with string cells of
+// categorical columns mapped through the learned code tables. Column-major
+// input ({ data, rows, cols, layout: 'col' } or { columns }) stays
+// column-major as { data, rows, cols, layout: 'col' }.
+// Sparse input is validated and passed through as
+// { format, indptr, indices, values, rows, cols }. Rows given as objects
+// keyed by feature name are put in featureNames order first.
+
+function normalizeX(X, categories, featureNames = null) {
+  if (isRowObjects(X)) {
+    if (!featureNames) {
+      throw new Error('X rows are objects, but the model has no featureNames to order them by')
+    }
+    return normalizeX(rowsByName(X, featureNames), categories)
+  }
+
+  // Sparse path: CSR (default) or CSC { indptr, indices, values, rows, cols }
+  if (X && typeof X === 'object' && !Array.isArray(X) && X.indptr) {
+    return normalizeSparse(X)
+  }
+
+  // Columnar: { columns: TypedArray[] }, one array per feature
+  if (X && typeof X === 'object' && !Array.isArray(X) && X.columns) {
+    return normalizeColumns(X.columns)
+  }
+
+  // Fast path: typed matrix { data, rows, cols, layout? }
+  if (X && typeof X === 'object' && !Array.isArray(X) && X.data) {
+    const { rows, cols, layout = 'row' } = X
+    if (layout !== 'row' && layout !== 'col') {
+      throw new Error(`X.layout must be 'row' or 'col', got '${layout}'`)
+    }
+    // Float64Array is kept as is so LightGBM sees full double precision
+    const data = X.data instanceof Float32Array || X.data instanceof Float64Array
+      ? X.data
+      : new Float32Array(X.data)
+    return layout === 'col' ? { data, rows, cols, layout } : { data, rows, cols }
+  }
+
+  // Slow path: number[][] or typed-array rows (string cells allowed in
+  // categorical columns)
+  if (Array.isArray(X) && (Array.isArray(X[0]) || ArrayBuffer.isView(X[0]))) {
+    const rows = X.length
+    const cols = X[0].length
+    const lookups = buildLookups(categories, cols)
+    const data = new Float32Array(rows * cols)
+    for (let i = 0; i < rows; i++) {
+      for (let j = 0; j < cols; j++) {
+        const lookup = lookups[j]
+        data[i * cols + j] = lookup ? encodeCategory(lookup, X[i][j]) : X[i][j]
+      }
+    }
+    return { data, rows, cols }
+  }
+
+  throw new Error(
+    'X must be number[][], an array of row objects, { data: TypedArray, rows, cols }, ' +
+    '{ columns: TypedArray[] } or a sparse matrix { indptr, indices, values, rows, cols }'
+  )
+}
+
+// Columns laid end to end: a column-major matrix LightGBM reads directly.
+// Float64 when every column is a Float64Array, float32 otherwise.
+function normalizeColumns(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error('X.columns must be a non-empty array of typed arrays')
+  }
+  const rows = columns[0].length
+  for (let j = 0; j < columns.length; j++) {
+    const col = columns[j]
+    if (col == null || typeof col.length !== 'number') {
+      throw new Error(`X.columns[${j}] is not an array`)
+    }
+    if (col.length !== rows) {
+      throw new Error(`X.columns[${j}] has ${col.length} rows, expected ${rows}`)
+    }
+  }
+  const Type = columns.every(col => col instanceof Float64Array) ? Float64Array : Float32Array
+  const data = new Type(rows * columns.length)
+  for (let j = 0; j < columns.length; j++) data.set(columns[j], j * rows)
+  return { data, rows, cols: columns.length, layout: 'col' }
+}
+
+// [{ age: 31, city: 'Oslo' }, ...]: one plain object per row, keyed by
+// feature name. Typed-array rows are positional.
+function isRowObjects(X) {
+  if (!Array.isArray(X) || X.length === 0) return false
+  const row = X[0]
+  if (row === null || typeof row !== 'object' || Array.isArray(row) || ArrayBuffer.isView(row)) return false
+  const proto = Object.getPrototypeOf(row)
+  return proto === Object.prototype || proto === null
+}
+
+// Row objects as number[][] in featureNames order. Every row must have
+// exactly the named features: a missing or unknown key is an error rather
+// than a silently shifted column.
+function rowsByName(X, featureNames) {
+  const index = new Map(featureNames.map((name, j) => [name, j]))
+  return X.map((row, i) => {
+    if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`X row ${i} is not an object`)
+    }
+    const out = new Array(featureNames.length)
+    const keys = Object.keys(row)
+    for (const key of keys) {
+      const j = index.get(key)
+      if (j === undefined) throw new Error(`X row ${i} has unknown feature '${key}'`)
+      out[j] = row[key]
+    }
+    if (keys.length !== featureNames.length) {
+      const missing = featureNames.filter(name => !Object.hasOwn(row, name))
+      throw new Error(`X row ${i} is missing feature${missing.length > 1 ? 's' : ''} ${missing.map(n => `'${n}'`).join(', ')}`)
+    }
+    return out
+  })
+}
+
+function normalizeSparse(X) {
+  const format = X.format || 'csr'
+  if (format !== 'csr' && format !== 'csc') {
+    throw new Error(`Unknown sparse format: '${format}'. Use 'csr' or 'csc'.`)
+  }
+  const { indptr, indices } = X
+  const values = X.values || X.data
+  if (!indices || !values) {
+    throw new Error('Sparse X requires indptr, indices and values')
+  }
+
+  // CSR: indptr spans rows, indices are columns. CSC: the reverse.
+  const nptr = indptr.length - 1
+  const rows = format === 'csr' ? (X.rows ?? nptr) : X.rows
+  const cols = format === 'csc' ? (X.cols ?? nptr) : X.cols
+  if (!Number.isInteger(rows) || !Number.isInteger(cols)) {
+    throw new Error(`Sparse ${format.toUpperCase()} X requires integer rows and cols`)
+  }
+  if (nptr !== (format === 'csr' ? rows : cols)) {
+    throw new Error(`Sparse ${format.toUpperCase()} indptr length (${indptr.length}) does not match ${format === 'csr' ? 'rows' : 'cols'} + 1`)
+  }
+  if (indptr[nptr] !== indices.length || indices.length !== values.length) {
+    throw new Error(`Sparse ${format.toUpperCase()} indptr[-1], indices and values lengths disagree`)
+  }
+  // Indices address the other dimension: columns for CSR, rows for CSC
+  const bound = format === 'csr' ? cols : rows
+  for (let k = 0; k < indices.length; k++) {
+    const idx = indices[k]
+    if (!Number.isInteger(idx) || idx < 0 || idx >= bound) {
+      throw new Error(`Sparse ${format.toUpperCase()} index ${idx} at position ${k} is out of range for ${bound} ${format === 'csr' ? 'columns' : 'rows'}`)
+    }
+  }
+  return { format, indptr, indices, values, rows, cols }
+}
+
+module.exports = { normalizeX, normalizeSparse, isRowObjects, rowsByName }
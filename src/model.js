@@ -1,6 +1,10 @@
 const { loadLGB, getWasm } = require('./wasm.js')
 const { Dataset } = require('./dataset.js')
 const { Booster } = require('./booster.js')
+const { toParamString } = require('./params.js')
+const { learnCategories } = require('./categorical.js')
+const { normalizeX, isRowObjects, rowsByName } = require('./input.js')
+const { makeFolds, complement, meanStd } = require('./cv.js')
 const {
   normalizeY,
   encodeBundle, decodeBundle,
@@ -28,8 +32,112 @@ const PROBA_OBJECTIVES = new Set([
   'binary', 'multiclass', 'multiclassova'
 ])
 
+const RANKER_OBJECTIVES = new Set([
+  'lambdarank', 'rank_xendcg', 'xendcg', 'xe_ndcg', 'xe_ndcg_mart', 'xendcg_mart'
+])
+
 // LightGBM params that are wlearn-only (not passed to Booster)
-const WLEARN_PARAMS = new Set(['numRound', 'coerce', 'task'])
+const WLEARN_PARAMS = new Set([
+  'numRound', 'coerce', 'task', 'categoricalFeatures', 'featureNames',
+  'importanceType'
+])
+
+// LightGBM params (with aliases) that depend on the labels and play no part
+// in binning, left out of a Dataset built before the labels are known
+const LABEL_PARAMS = new Set([
+  'objective', 'objective_type', 'app', 'application', 'loss',
+  'num_class', 'num_classes', 'metric', 'metrics', 'metric_types'
+])
+
+// LightGBM C_API_PREDICT_* types
+const PREDICT_RAW_SCORE = 1
+const PREDICT_LEAF_INDEX = 2
+const PREDICT_CONTRIB = 3
+
+// Metrics where a larger value is better (mirrors the LightGBM Python package)
+function isHigherBetter(name) {
+  return name.startsWith('auc') || name.startsWith('ndcg@') ||
+    name.startsWith('map@') || name.startsWith('average_precision')
+}
+
+// One round of evaluation: LightGBM's metrics from getEval (training metrics
+// only exist with is_provide_training_metric) followed by the evalMetric
+// functions, for each data set. Returns one array of evals per data set, in
+// data_idx order. Custom metrics get the scores as getPredict returns them
+// (after the objective transform), the labels LightGBM trains on and the
+// weights (or null).
+function evaluateRound(booster, evalData, builtinNames, customMetrics) {
+  return evalData.map(({ name: data, labels, weights }, idx) => {
+    const evals = []
+    const values = builtinNames.length > 0 ? booster.getEval(idx) : []
+    for (let m = 0; m < values.length; m++) {
+      const name = builtinNames[m]
+      evals.push({ data, name, value: values[m], higherIsBetter: isHigherBetter(name) })
+    }
+    if (customMetrics.length === 0) return evals
+
+    const preds = booster.getPredict(idx)
+    for (const fn of customMetrics) {
+      const { name, value, higherIsBetter = false } = fn(preds, labels, weights)
+      if (typeof name !== 'string' || typeof value !== 'number') {
+        throw new Error('evalMetric must return { name: string, value: number, higherIsBetter? }')
+      }
+      evals.push({ data, name, value, higherIsBetter })
+    }
+    return evals
+  })
+}
+
+// Row batches for fit: an async iterable, or a function returning one (so
+// Dataset.fromChunks can read them twice)
+function isRowBatches(X) {
+  return typeof X === 'function' ||
+    (X != null && typeof X[Symbol.asyncIterator] === 'function')
+}
+
+function iterate(source) {
+  return typeof source[Symbol.asyncIterator] === 'function'
+    ? source[Symbol.asyncIterator]()
+    : source[Symbol.iterator]()
+}
+
+// The rest of an iterator whose first result was already read
+async function* replay(it, head) {
+  for (let r = head; !r.done; r = await it.next()) yield r.value
+}
+
+// Predict a normalizeX() result (dense, CSR or CSC) with any booster
+function predictBooster(booster, x, opts) {
+  if (x.format === 'csr') return booster.predictCSR(x, opts)
+  if (x.format === 'csc') return booster.predictCSC(x, opts)
+  return booster.predict(x.data, x.rows, x.cols, { ...opts, layout: x.layout })
+}
+
+// Mean NDCG@k over query groups, with LightGBM's default gain (2^label - 1)
+// and log2 position discount. Queries without any relevant document count
+// as 1, as in LightGBM's ndcg metric.
+function meanNDCG(scores, labels, groups, k) {
+  let sum = 0
+  let start = 0
+  for (const size of groups) {
+    const idx = []
+    for (let i = start; i < start + size; i++) idx.push(i)
+
+    const dcgAt = (order) => {
+      let dcg = 0
+      for (let r = 0; r < Math.min(k, order.length); r++) {
+        dcg += (2 ** labels[order[r]] - 1) / Math.log2(r + 2)
+      }
+      return dcg
+    }
+
+    const ideal = dcgAt([...idx].sort((a, b) => labels[b] - labels[a]))
+    const actual = dcgAt([...idx].sort((a, b) => scores[b] - scores[a]))
+    sum += ideal === 0 ? 1 : actual / ideal
+    start += size
+  }
+  return groups.length === 0 ? 0 : sum / groups.length
+}
 
 // --- Internal sentinel for load path ---
 const LOAD_SENTINEL = Symbol('load')
@@ -44,6 +152,10 @@ class LGBModel {
   #fitted = false
   #nrClass = 0
   #classes = null
+  #bestIteration = 0
+  #categories = null
+  #featureNames = null
+  #evalsResult = null
 
   constructor(handle, params, extra) {
     if (handle === LOAD_SENTINEL) {
@@ -52,6 +164,10 @@ class LGBModel {
       this.#params = extra.params || {}
       this.#nrClass = extra.nrClass || 0
       this.#classes = extra.classes ? new Int32Array(extra.classes) : null
+      this.#bestIteration = extra.bestIteration || 0
+      this.#categories = extra.categories || null
+      this.#featureNames = extra.featureNames || null
+      this.#evalsResult = extra.evalsResult || null
       this.#fitted = true
       this.#freed = false
       this.#boosterRef = [this.#booster]
@@ -75,89 +191,270 @@ class LGBModel {
 
   // --- Estimator interface ---
 
-  fit(X, y) {
+  // initModel (an LGBModel or saved bundle bytes) continues boosting from
+  // that model's trees: its raw predictions become the init scores and its
+  // trees are kept in front of the new ones.
+  fit(X, y, opts = {}) {
     this.#ensureNotDisposed()
+    if (isRowBatches(X) && opts.initModel != null) {
+      throw new Error('initModel cannot be combined with row batches')
+    }
+    // Resolved before the current booster is disposed, so a model can
+    // continue from itself (continueTraining)
+    const init = opts.initModel == null ? null : this.#loadInitModel(opts.initModel)
+    try {
+      return this.#fit(X, y, opts, init)
+    } finally {
+      if (init) init.booster.dispose()
+    }
+  }
 
-    // Map task param to objective if needed
-    this.#resolveTask(y)
+  // Warm start on (possibly new) data: numRound more rounds on top of the
+  // current trees. Shorthand for fit(X, y, { initModel: this, numRound }).
+  continueTraining(X, y, numRound, opts = {}) {
+    this.#ensureFitted()
+    return this.fit(X, y, { ...opts, initModel: this, numRound })
+  }
+
+  // New model with the same trees whose leaf values are re-estimated on X, y
+  // (LightGBM refit): each leaf becomes decayRate * old + (1 - decayRate) *
+  // refitted output. Trees past bestIteration are dropped; this model is
+  // left unchanged.
+  refit(X, y, { decayRate = 0.9, sampleWeight, group } = {}) {
+    this.#ensureFitted()
+    if (!(decayRate >= 0 && decayRate <= 1)) {
+      throw new Error(`decayRate must be between 0 and 1, got ${decayRate}`)
+    }
+    if (typeof this.#params.objective === 'function') {
+      throw new Error('refit is not supported with a custom objective function')
+    }
+
+    const init = this.#loadInitModel(this)
+    const model = new LGBModel(this.getParams())
+    let ds = null
+    let booster = null
+    try {
+      const prepared = model.#prepareTraining(X, y, { sampleWeight, group, init })
+      ds = prepared.ds
+      const { xTrain, rows } = prepared
+      booster = new Booster(ds, `${prepared.paramStr} refit_decay_rate=${decayRate}`)
+      booster.merge(init.booster)
+      const leaves = predictBooster(init.booster, xTrain, { predictType: PREDICT_LEAF_INDEX })
+      booster.refit(Int32Array.from(leaves), rows)
+    } catch (err) {
+      if (booster) booster.dispose()
+      throw err
+    } finally {
+      if (ds) ds.dispose()
+      init.booster.dispose()
+    }
+
+    return new LGBModel(LOAD_SENTINEL, booster, {
+      params: model.getParams(),
+      nrClass: model.#nrClass,
+      classes: model.#classes,
+      categories: model.#categories,
+      featureNames: model.#featureNames
+    })
+  }
+
+  #fit(X, y, {
+    evalSet = [], earlyStoppingRounds = 0, earlyStoppingMetric, earlyStoppingData,
+    metric, evalMetric, sampleWeight, group, featureNames, callbacks = [], numRound, nrow
+  }, init) {
+    if (earlyStoppingRounds > 0 && evalSet.length === 0) {
+      throw new Error('earlyStoppingRounds requires at least one evalSet')
+    }
+    if (!Array.isArray(callbacks)) {
+      throw new Error('callbacks must be an array of { onIterationEnd } objects')
+    }
+    const customMetrics = evalMetric === undefined ? [] : [].concat(evalMetric)
+    for (const fn of customMetrics) {
+      if (typeof fn !== 'function') throw new Error('evalMetric must be a function or an array of functions')
+    }
+    if (isRowBatches(X) && (y != null || sampleWeight != null)) {
+      throw new Error('With row batches, y and sampleWeight come with each batch')
+    }
 
     // Dispose previous booster if refitting
     if (this.#booster) {
       this.#booster.dispose()
       this.#booster = null
+      this.#fitted = false
       if (this.#boosterRef) this.#boosterRef[0] = null
       if (leakRegistry) leakRegistry.unregister(this)
     }
 
-    const { data: xData, rows, cols } = this.#normalizeX(X)
-    const yNorm = normalizeY(y)
+    const trainOpts = {
+      evalSet, earlyStoppingRounds, earlyStoppingMetric, earlyStoppingData, customMetrics, callbacks
+    }
 
-    // Detect objective (default to regression)
-    const obj = this.#params.objective || 'regression'
+    // Row batches are read asynchronously: fit returns a Promise of this
+    if (isRowBatches(X)) {
+      return this.#prepareBatches(X, { metric, group, featureNames, numRound, nrow })
+        .then(prepared => this.#train(prepared, trainOpts, null))
+    }
 
-    // For classifiers: validate and extract classes, remap to 0-based
-    let yTrain
-    if (CLASSIFIER_OBJECTIVES.has(obj)) {
-      const unique = new Set()
-      for (let i = 0; i < yNorm.length; i++) {
-        const v = yNorm[i]
-        if (v !== Math.floor(v)) {
-          throw new Error(`Classifier labels must be integers, got ${v} at index ${i}`)
-        }
-        unique.add(v)
+    const prepared = this.#prepareTraining(X, y, { metric, sampleWeight, group, featureNames, numRound, init })
+    if (init) {
+      // Boost from the initModel's raw scores
+      try {
+        prepared.ds.setInitScore(this.#initScores(init, prepared.xTrain), init.numClass)
+      } catch (err) {
+        prepared.ds.dispose()
+        throw err
       }
-      const sorted = [...unique].sort((a, b) => a - b)
-      this.#classes = new Int32Array(sorted)
-      this.#nrClass = sorted.length
-
-      // Remap to 0-based contiguous
-      const classMap = new Map()
-      for (let i = 0; i < sorted.length; i++) classMap.set(sorted[i], i)
-      yTrain = new Float32Array(yNorm.length)
-      for (let i = 0; i < yNorm.length; i++) yTrain[i] = classMap.get(yNorm[i])
-    } else {
-      this.#classes = null
-      this.#nrClass = 0
-      yTrain = yNorm instanceof Float32Array ? yNorm : new Float32Array(yNorm)
     }
+    return this.#train(prepared, trainOpts, init)
+  }
 
-    if (yTrain.length !== rows) {
-      throw new Error(`y length (${yTrain.length}) does not match X rows (${rows})`)
+  // Boosting on a prepared training Dataset (which it disposes): validation
+  // sets, rounds, evaluation, early stopping and callbacks
+  #train({ ds, paramStr, cols, yTrain, wTrain, numRound: rounds, fobj }, {
+    evalSet, earlyStoppingRounds, earlyStoppingMetric, earlyStoppingData, customMetrics, callbacks
+  }, init) {
+    // Validation sets share the training bin mappers. evalData lists every
+    // evaluated data set in LightGBM data_idx order (0 = training). Names key
+    // evalsResult, so they must be unique.
+    const validSets = []
+    const evalData = [{ name: 'training', labels: yTrain, weights: wTrain }]
+    try {
+      for (let v = 0; v < evalSet.length; v++) {
+        const set = evalSet[v]
+        const vName = set.name || `valid_${v}`
+        if (vName === 'training') {
+          throw new Error(`evalSet[${v}] cannot be named 'training' (reserved for the training data)`)
+        }
+        if (evalData.some(d => d.name === vName)) {
+          throw new Error(`evalSet[${v}] name '${vName}' is already used by another evalSet`)
+        }
+        const xValid = this.#normalizeX(set.X)
+        const { rows: vRows, cols: vCols } = xValid
+        if (vCols !== cols) {
+          throw new Error(`evalSet[${v}] has ${vCols} columns, expected ${cols}`)
+        }
+        const vLabels = this.#encodeLabels(normalizeY(set.y))
+        if (vLabels.length !== vRows) {
+          throw new Error(`evalSet[${v}] y length (${vLabels.length}) does not match X rows (${vRows})`)
+        }
+        const vWeight = this.#normalizeWeight(set.sampleWeight, vRows, `evalSet[${v}].sampleWeight`)
+        const vGroup = this.#normalizeGroup(set.group, vRows, `evalSet[${v}].group`)
+        const vds = this.#createDataset(xValid, paramStr, ds)
+        validSets.push(vds)
+        evalData.push({ name: vName, labels: vLabels, weights: vWeight })
+        vds.setLabel(vLabels)
+        if (vWeight) vds.setWeight(vWeight)
+        if (vGroup) vds.setGroup(vGroup)
+        if (init) vds.setInitScore(this.#initScores(init, xValid), init.numClass)
+      }
+    } catch (err) {
+      for (const vds of validSets) vds.dispose()
+      ds.dispose()
+      throw err
     }
 
-    // Build LightGBM param string: "key1=value1 key2=value2"
-    const numRound = this.#params.numRound || 100
-    const lgbParams = {}
-    for (const [key, val] of Object.entries(this.#params)) {
-      if (!WLEARN_PARAMS.has(key)) lgbParams[key] = val
-    }
-    // Defaults
-    if (!('objective' in lgbParams)) lgbParams.objective = obj
-    if (!('verbosity' in lgbParams)) lgbParams.verbosity = -1
+    // Create Booster and train
+    let booster = null
+    let builtinNames
+    let monitorIdx = 1
+    try {
+      if (earlyStoppingData !== undefined) {
+        monitorIdx = evalData.findIndex((d, idx) => idx > 0 && d.name === earlyStoppingData)
+        if (monitorIdx < 0) {
+          throw new Error(`earlyStoppingData '${earlyStoppingData}' is not the name of an evalSet`)
+        }
+      }
+      booster = new Booster(ds, paramStr)
+      for (const vds of validSets) booster.addValidData(vds)
 
-    // Auto-set num_class for multiclass
-    if ((obj === 'multiclass' || obj === 'multiclassova') &&
-        !('num_class' in lgbParams) && this.#nrClass > 0) {
-      lgbParams.num_class = this.#nrClass
+      builtinNames = booster.getEvalNames()
+      if (earlyStoppingRounds > 0 && builtinNames.length === 0 && customMetrics.length === 0) {
+        throw new Error('earlyStoppingRounds requires at least one metric')
+      }
+      if (init && booster.getNumClasses() !== init.numClass) {
+        throw new Error(
+          `initModel has ${init.numClass} trees per iteration, the new booster ${booster.getNumClasses()}`
+        )
+      }
+    } catch (err) {
+      if (booster) booster.dispose()
+      for (const vds of validSets) vds.dispose()
+      ds.dispose()
+      throw err
     }
 
-    const paramStr = Object.entries(lgbParams)
-      .map(([k, v]) => `${k}=${v}`)
-      .join(' ')
+    // The initModel's trees come first; training continues from the init
+    // scores, so iterations (and bestIteration) count on from them
+    const initIterations = init ? init.iterations : 0
+
+    // Early stopping monitors earlyStoppingMetric (default: the first
+    // metric) on the earlyStoppingData set (default: the first evalSet)
+    const evalsResult = {}
+    for (const d of evalData) evalsResult[d.name] = {}
+    let monitor = null
+    let bestIteration = 0
+    let bestScore = NaN
+    try {
+      if (init) booster.merge(init.booster)
+      for (let i = 0; i < rounds; i++) {
+        if (fobj) {
+          // Gradients from the current raw training scores
+          const { grad, hess } = fobj(booster.getPredict(0), ds)
+          booster.updateCustom(grad, hess)
+        } else {
+          booster.update()
+        }
 
-    // Create Dataset
-    const ds = new Dataset(xData, rows, cols, paramStr)
-    ds.setLabel(yTrain)
+        const byData = evaluateRound(booster, evalData, builtinNames, customMetrics)
+        const evals = byData.flat()
+        for (const e of evals) {
+          const history = evalsResult[e.data]
+          if (!history[e.name]) history[e.name] = []
+          history[e.name].push(e.value)
+        }
 
-    // Create Booster and train
-    const booster = new Booster(ds.handle, paramStr)
-    for (let i = 0; i < numRound; i++) {
-      booster.update()
+        let stop = false
+        if (earlyStoppingRounds > 0) {
+          if (!monitor) {
+            const name = earlyStoppingMetric ?? byData[monitorIdx][0].name
+            monitor = byData[monitorIdx].find(e => e.name === name)
+            if (!monitor) {
+              throw new Error(`earlyStoppingMetric '${name}' is not evaluated on the validation set`)
+            }
+          }
+
+          const score = byData[monitorIdx].find(e => e.name === monitor.name).value
+          const improved = Number.isNaN(bestScore) ||
+            (monitor.higherIsBetter ? score > bestScore : score < bestScore)
+          if (improved) {
+            bestScore = score
+            bestIteration = i + 1
+          } else if (i + 1 - bestIteration >= earlyStoppingRounds) {
+            stop = true
+          }
+        }
+
+        // Every callback sees the round; any of them returning false stops
+        for (const cb of callbacks) {
+          if (cb.onIterationEnd && cb.onIterationEnd({ iteration: i + 1, evals }) === false) {
+            stop = true
+          }
+        }
+        if (stop) break
+      }
+    } catch (err) {
+      booster.dispose()
+      for (const vds of validSets) vds.dispose()
+      ds.dispose()
+      throw err
     }
 
+    for (const vds of validSets) vds.dispose()
     ds.dispose()
 
     this.#booster = booster
+    this.#bestIteration = bestIteration > 0 ? initIterations + bestIteration : 0
+    this.#evalsResult = evalsResult
     this.#fitted = true
 
     this.#boosterRef = [this.#booster]
@@ -171,12 +468,111 @@ class LGBModel {
     return this
   }
 
-  predict(X) {
+  // k-fold cross-validation. The training Dataset is binned once; every fold
+  // trains its own booster on a subset of it and is scored on the held-out
+  // rows. Classifiers get stratified folds by default (on the remapped class
+  // indices); with group, whole queries are assigned to folds.
+  // Returns { bestIteration, results: { [metric]: { mean: [], std: [] } } }
+  // with one entry per round (up to bestIteration with early stopping),
+  // bestIteration by the first metric's mean.
+  static async cv(params, X, y, {
+    nfold = 5, stratified, shuffle = true, seed = 0, metrics, earlyStoppingRounds = 0,
+    sampleWeight, group
+  } = {}) {
+    const model = await LGBModel.create(params)
+    const datasets = []
+    const boosters = []
+    try {
+      const { ds, paramStr, rows, yTrain, gTrain, numRound, fobj } =
+        model.#prepareTraining(X, y, { metric: metrics, sampleWeight, group })
+      datasets.push(ds)
+
+      const strat = stratified ?? (model.#isClassifier() && !gTrain)
+      if (strat && !model.#isClassifier()) {
+        throw new Error('stratified folds require a classification objective')
+      }
+      if (strat && gTrain) {
+        throw new Error('stratified folds cannot be combined with group')
+      }
+      const folds = makeFolds(rows, nfold, {
+        labels: yTrain, stratified: strat, shuffle, seed, group: gTrain
+      })
+
+      for (const fold of folds) {
+        const train = ds.subset(complement(rows, fold), paramStr)
+        datasets.push(train)
+        const valid = ds.subset(fold, paramStr)
+        datasets.push(valid)
+        const booster = new Booster(train, paramStr)
+        boosters.push({ booster, train })
+        booster.addValidData(valid)
+      }
+
+      const names = boosters[0].booster.getEvalNames()
+      if (names.length === 0) throw new Error('cv requires at least one metric')
+      const results = {}
+      for (const name of names) results[name] = { mean: [], std: [] }
+      const higherIsBetter = isHigherBetter(names[0])
+
+      let bestIteration = 0
+      let bestScore = NaN
+      for (let i = 0; i < numRound; i++) {
+        const perFold = boosters.map(({ booster, train }) => {
+          if (fobj) {
+            const { grad, hess } = fobj(booster.getPredict(0), train)
+            booster.updateCustom(grad, hess)
+          } else {
+            booster.update()
+          }
+          return booster.getEval(1)
+        })
+        for (let m = 0; m < names.length; m++) {
+          const { mean, std } = meanStd(perFold.map(values => values[m]))
+          results[names[m]].mean.push(mean)
+          results[names[m]].std.push(std)
+        }
+
+        const score = results[names[0]].mean[i]
+        const improved = Number.isNaN(bestScore) ||
+          (higherIsBetter ? score > bestScore : score < bestScore)
+        if (improved) {
+          bestScore = score
+          bestIteration = i + 1
+        } else if (earlyStoppingRounds > 0 && i + 1 - bestIteration >= earlyStoppingRounds) {
+          break
+        }
+      }
+
+      // With early stopping the history ends at the best round, the one fit
+      // would predict with
+      if (earlyStoppingRounds > 0) {
+        for (const name of names) {
+          results[name].mean.length = bestIteration
+          results[name].std.length = bestIteration
+        }
+      }
+      return { bestIteration, results }
+    } finally {
+      for (const { booster } of boosters) booster.dispose()
+      for (const d of datasets) d.dispose()
+      model.dispose()
+    }
+  }
+
+  predict(X, { threshold, ...range } = {}) {
     this.#ensureFitted()
-    const { data: xData, rows, cols } = this.#normalizeX(X)
-    const rawPreds = this.#booster.predict(xData, rows, cols)
+    const obj = this.#objectiveName()
+    if (threshold !== undefined && obj !== 'binary' && obj !== 'cross_entropy') {
+      throw new Error(`predict threshold requires a binary objective, got "${obj}"`)
+    }
+    if (threshold !== undefined && !(Number.isFinite(threshold) && threshold >= 0 && threshold <= 1)) {
+      throw new Error(`predict threshold must be a number in [0, 1], got ${threshold}`)
+    }
+    const cut = threshold === undefined ? 0.5 : threshold
 
-    const obj = this.#params.objective || 'regression'
+    const x = this.#normalizeX(X)
+    const rows = x.rows
+    const rawPreds = this.#predictRaw(x, this.#iterationRange(range))
 
     if (!CLASSIFIER_OBJECTIVES.has(obj)) {
       return rawPreds
@@ -185,9 +581,9 @@ class LGBModel {
     const result = new Float64Array(rows)
 
     if (obj === 'binary') {
-      // Raw is P(class=1), threshold at 0.5
+      // Raw is P(class=1), threshold at 0.5 unless overridden
       for (let i = 0; i < rows; i++) {
-        result[i] = this.#classes[rawPreds[i] > 0.5 ? 1 : 0]
+        result[i] = this.#classes[rawPreds[i] > cut ? 1 : 0]
       }
     } else if (obj === 'multiclass' || obj === 'multiclassova') {
       // Raw is rows * nrClass probabilities, argmax
@@ -200,25 +596,26 @@ class LGBModel {
         result[i] = this.#classes[best]
       }
     } else {
-      // cross_entropy: threshold at 0.5
+      // cross_entropy: threshold at 0.5 unless overridden
       for (let i = 0; i < rows; i++) {
-        result[i] = this.#classes[rawPreds[i] > 0.5 ? 1 : 0]
+        result[i] = this.#classes[rawPreds[i] > cut ? 1 : 0]
       }
     }
 
     return result
   }
 
-  predictProba(X) {
+  predictProba(X, range = {}) {
     this.#ensureFitted()
-    const obj = this.#params.objective || 'regression'
+    const obj = this.#objectiveName()
 
     if (!PROBA_OBJECTIVES.has(obj)) {
       throw new Error(`predictProba requires classification objective, got "${obj}"`)
     }
 
-    const { data: xData, rows, cols } = this.#normalizeX(X)
-    const rawPreds = this.#booster.predict(xData, rows, cols)
+    const x = this.#normalizeX(X)
+    const rows = x.rows
+    const rawPreds = this.#predictRaw(x, this.#iterationRange(range))
 
     if (obj === 'binary') {
       // LightGBM returns P(class=1). Expand to rows * 2: [P(class=0), P(class=1)]
@@ -235,10 +632,55 @@ class LGBModel {
     return new Float64Array(rawPreds)
   }
 
-  score(X, y) {
-    const preds = this.predict(X)
+  // Raw margins before the sigmoid/softmax: one per row for binary models,
+  // rows * nrClass (row-major) for multiclass.
+  decisionFunction(X, range = {}) {
+    this.#ensureFitted()
+    if (!this.#isClassifier()) {
+      const obj = this.#objectiveName()
+      throw new Error(`decisionFunction requires classification objective, got "${obj}"`)
+    }
+    const x = this.#normalizeX(X)
+    return this.#predictRaw(x, {
+      predictType: PREDICT_RAW_SCORE,
+      ...this.#iterationRange(range)
+    })
+  }
+
+  // SHAP values: per row, nFeatures contributions followed by the bias term.
+  // Multiclass models repeat that block per class:
+  // rows * nrClass * (nFeatures + 1), row-major.
+  predictContrib(X, range = {}) {
+    this.#ensureFitted()
+    const x = this.#normalizeX(X)
+    return this.#predictRaw(x, {
+      predictType: PREDICT_CONTRIB,
+      ...this.#iterationRange(range)
+    })
+  }
+
+  // Leaf index reached in every tree: rows * numTrees, row-major. Trees are
+  // ordered by iteration, then class (numTrees = iterations * nrClass for
+  // multiclass models).
+  predictLeaf(X, range = {}) {
+    this.#ensureFitted()
+    const x = this.#normalizeX(X)
+    const raw = this.#predictRaw(x, {
+      predictType: PREDICT_LEAF_INDEX,
+      ...this.#iterationRange(range)
+    })
+    return Int32Array.from(raw)
+  }
+
+  score(X, y, { group, k = 10, ...range } = {}) {
+    const preds = this.predict(X, range)
     const yArr = normalizeY(y)
 
+    if (this.#isRanker()) {
+      const groups = this.#normalizeGroup(group, yArr.length, 'group')
+      return meanNDCG(preds, yArr, groups, k)
+    }
+
     if (!this.#isClassifier()) {
       // R-squared
       let ssRes = 0, ssTot = 0, yMean = 0
@@ -261,26 +703,78 @@ class LGBModel {
 
   // --- Model I/O ---
 
-  save() {
+  // Trees past the best iteration are dropped from the saved model.
+  // numIteration saves the first numIteration rounds instead; the loaded
+  // model then predicts with all of them.
+  save({ numIteration } = {}) {
     this.#ensureFitted()
-    const modelBytes = this.#booster.saveModel()
+    if (numIteration !== undefined && !(Number.isInteger(numIteration) && numIteration > 0)) {
+      throw new Error(`numIteration must be a positive integer, got ${numIteration}`)
+    }
+    const modelBytes = this.#booster.saveModel({ numIteration: numIteration ?? this.#bestIteration })
     const typeId = this.#isClassifier()
       ? 'wlearn.lightgbm.classifier@1'
-      : 'wlearn.lightgbm.regressor@1'
+      : this.#isRanker()
+        ? 'wlearn.lightgbm.ranker@1'
+        : 'wlearn.lightgbm.regressor@1'
+    // A custom objective function cannot be serialized; the saved model
+    // predicts raw scores
+    const params = this.getParams()
+    if (typeof params.objective === 'function') delete params.objective
     return encodeBundle(
       {
         typeId,
-        params: this.getParams(),
+        params,
         metadata: {
           nrClass: this.#nrClass,
           classes: this.#classes ? Array.from(this.#classes) : [],
-          objective: this.#params.objective || 'regression'
+          objective: this.#objectiveName(),
+          bestIteration: numIteration === undefined ? this.#bestIteration : 0,
+          categories: this.#categories,
+          featureNames: this.#featureNames,
+          evalsResult: this.#evalsResult
         }
       },
       [{ id: 'model', data: modelBytes }]
     )
   }
 
+  // New model with only iterations [startIteration, endIteration) of this
+  // one (counted over all trees, not just up to bestIteration). LightGBM
+  // folds the initial score into the first iteration, so slices starting
+  // later predict offsets from it.
+  slice(startIteration, endIteration) {
+    this.#ensureFitted()
+    const total = this.#booster.currentIteration
+    if (endIteration === undefined) endIteration = total
+    if (!Number.isInteger(startIteration) || !Number.isInteger(endIteration) ||
+        startIteration < 0 || endIteration > total || startIteration >= endIteration) {
+      throw new Error(`slice(${startIteration}, ${endIteration}) is not a range within the model's ${total} iterations`)
+    }
+    const booster = Booster.loadModel(this.#booster.saveModel({
+      startIteration, numIteration: endIteration - startIteration
+    }))
+    return new LGBModel(LOAD_SENTINEL, booster, {
+      params: this.getParams(),
+      nrClass: this.#nrClass,
+      classes: this.#classes,
+      categories: this.#categories,
+      featureNames: this.#featureNames
+    })
+  }
+
+  // Structured tree dump (LightGBM JSON model format) up to bestIteration.
+  // Also what JSON.stringify(model) serializes: null before fit.
+  toJSON() {
+    return this.#fitted ? this.dumpModel() : null
+  }
+
+  // toJSON with an iteration range, as in Booster.dumpModel
+  dumpModel({ startIteration = 0, numIteration = this.#bestIteration } = {}) {
+    this.#ensureFitted()
+    return this.#booster.dumpModel({ startIteration, numIteration })
+  }
+
   static async load(bytes) {
     const { manifest, toc, blobs } = decodeBundle(bytes)
     return LGBModel._fromBundle(manifest, toc, blobs)
@@ -299,7 +793,11 @@ class LGBModel {
     return new LGBModel(LOAD_SENTINEL, booster, {
       params: manifest.params || {},
       nrClass: meta.nrClass || 0,
-      classes: meta.classes || null
+      classes: meta.classes || null,
+      bestIteration: meta.bestIteration || 0,
+      categories: meta.categories || null,
+      featureNames: meta.featureNames || (manifest.params && manifest.params.featureNames) || null,
+      evalsResult: meta.evalsResult || null
     })
   }
 
@@ -354,27 +852,72 @@ class LGBModel {
     return this.#classes ? Int32Array.from(this.#classes) : new Int32Array(0)
   }
 
+  // 1-based iteration with the best validation score when early stopping
+  // was used, 0 otherwise (all iterations are used).
+  get bestIteration() {
+    return this.#bestIteration
+  }
+
+  // Per-round metric values from the last fit (kept in saved bundles), by
+  // data set and metric name:
+  // { training: { l2: [...] }, valid_0: { l2: [...], myMetric: [...] } }.
+  // LightGBM reports training metrics only with is_provide_training_metric.
+  get evalsResult() {
+    const result = {}
+    for (const [data, metrics] of Object.entries(this.#evalsResult || {})) {
+      result[data] = {}
+      for (const [name, values] of Object.entries(metrics)) result[data][name] = [...values]
+    }
+    return result
+  }
+
+  // Importance per input column ('split' or 'gain' via the importanceType
+  // param). Keyed by name when the model has feature names.
+  get featureImportances() {
+    this.#ensureFitted()
+    const values = this.#booster.featureImportance({
+      type: this.#params.importanceType || 'split',
+      numIteration: this.#bestIteration
+    })
+    const names = this.#featureNames
+    if (!names) return values
+    if (names.length !== values.length) {
+      throw new Error(`featureNames has ${names.length} entries, model has ${values.length} features`)
+    }
+    const named = {}
+    for (let j = 0; j < names.length; j++) named[names[j]] = values[j]
+    return named
+  }
+
+  // Column names from the last fit (the featureNames option or param, or
+  // the keys of row objects), null when trained on positional columns
+  get featureNames() {
+    return this.#featureNames ? [...this.#featureNames] : null
+  }
+
   get isFitted() {
     return this.#fitted && !this.#freed
   }
 
   get capabilities() {
-    const obj = this.#params.objective || 'regression'
+    const obj = this.#objectiveName()
     const isCls = CLASSIFIER_OBJECTIVES.has(obj)
+    const isRanker = RANKER_OBJECTIVES.has(obj)
     return {
       classifier: isCls,
-      regressor: !isCls,
+      regressor: !isCls && !isRanker,
+      ranker: isRanker,
       predictProba: PROBA_OBJECTIVES.has(obj),
-      decisionFunction: false,
-      sampleWeight: false,
-      csr: false,
-      earlyStopping: false
+      decisionFunction: isCls,
+      sampleWeight: true,
+      csr: true,
+      earlyStopping: true
     }
   }
 
   get probaDim() {
     if (!this.isFitted) return 0
-    const obj = this.#params.objective || 'regression'
+    const obj = this.#objectiveName()
     if (obj === 'binary') return 2
     if (obj === 'multiclass' || obj === 'multiclassova') return this.#nrClass
     return 0
@@ -383,27 +926,338 @@ class LGBModel {
   // --- Private helpers ---
 
   #normalizeX(X) {
-    // Fast path: typed matrix { data, rows, cols }
-    if (X && typeof X === 'object' && !Array.isArray(X) && X.data) {
-      const { data, rows, cols } = X
-      if (data instanceof Float32Array) return { data, rows, cols }
-      return { data: new Float32Array(data), rows, cols }
-    }
-
-    // Slow path: number[][]
-    if (Array.isArray(X) && Array.isArray(X[0])) {
-      const rows = X.length
-      const cols = X[0].length
-      const data = new Float32Array(rows * cols)
-      for (let i = 0; i < rows; i++) {
-        for (let j = 0; j < cols; j++) {
-          data[i * cols + j] = X[i][j]
+    return normalizeX(X, this.#categories, this.#featureNames)
+  }
+
+  #createDataset(x, paramStr, reference) {
+    const opts = { reference }
+    if (x.format === 'csr') return Dataset.fromCSR(x, paramStr, opts)
+    if (x.format === 'csc') return Dataset.fromCSC(x, paramStr, opts)
+    return new Dataset(x.data, x.rows, x.cols, paramStr, { reference, layout: x.layout })
+  }
+
+  // Iterations used by the predict methods: numIteration rounds from
+  // startIteration. Like the LightGBM Python package, numIteration defaults
+  // to bestIteration when starting from 0 and to all remaining rounds
+  // otherwise; numIteration <= 0 also means all remaining rounds.
+  #iterationRange({ startIteration = 0, numIteration } = {}) {
+    if (!Number.isInteger(startIteration) || startIteration < 0) {
+      throw new Error(`startIteration must be a non-negative integer, got ${startIteration}`)
+    }
+    if (numIteration === undefined) {
+      numIteration = startIteration === 0 ? this.#bestIteration : 0
+    } else if (!Number.isInteger(numIteration)) {
+      throw new Error(`numIteration must be an integer, got ${numIteration}`)
+    }
+    return { startIteration, numIteration }
+  }
+
+  #predictRaw(x, opts) {
+    return predictBooster(this.#booster, x, opts)
+  }
+
+  // An LGBModel or saved bundle to warm-start from. Going through the
+  // bundle drops trees past its bestIteration and works for any LGBModel
+  // wrapper; the caller disposes init.booster.
+  #loadInitModel(initModel) {
+    let bytes = initModel
+    if (!(initModel instanceof Uint8Array)) {
+      if (!initModel || typeof initModel.save !== 'function') {
+        throw new Error('initModel must be a fitted LGBModel or saved model bytes')
+      }
+      bytes = initModel.save()
+    }
+    const { manifest, toc, blobs } = decodeBundle(bytes)
+    const entry = toc.find(e => e.id === 'model')
+    if (!entry) throw new Error('initModel bundle missing "model" artifact')
+    const meta = manifest.metadata || {}
+
+    const booster = Booster.loadModel(blobs.subarray(entry.offset, entry.offset + entry.length))
+    try {
+      return {
+        booster,
+        objective: meta.objective || 'regression',
+        classes: meta.classes && meta.classes.length > 0 ? meta.classes : null,
+        categories: meta.categories || null,
+        featureNames: meta.featureNames || (manifest.params && manifest.params.featureNames) || null,
+        numClass: booster.getNumClasses(),
+        numFeature: booster.getNumFeature(),
+        iterations: booster.currentIteration
+      }
+    } catch (err) {
+      booster.dispose()
+      throw err
+    }
+  }
+
+  // Raw initModel scores for x, row-major like predict()
+  #initScores(init, x) {
+    return predictBooster(init.booster, x, { predictType: PREDICT_RAW_SCORE })
+  }
+
+  // Remap labels to the 0-based class indices LightGBM expects. Regression
+  // labels pass through as Float32.
+  #encodeLabels(yNorm) {
+    if (!this.#classes) {
+      return yNorm instanceof Float32Array ? yNorm : new Float32Array(yNorm)
+    }
+    const classMap = new Map()
+    for (let i = 0; i < this.#classes.length; i++) classMap.set(this.#classes[i], i)
+    const out = new Float32Array(yNorm.length)
+    for (let i = 0; i < yNorm.length; i++) {
+      const c = classMap.get(yNorm[i])
+      if (c === undefined) {
+        throw new Error(`Label ${yNorm[i]} at index ${i} was not seen in training labels`)
+      }
+      out[i] = c
+    }
+    return out
+  }
+
+  // Shared by fit and cv: resolves the task, feature names, categories and
+  // classes, builds the LightGBM param string and the labelled training
+  // Dataset. With init (warm start, refit) the initModel's objective,
+  // classes, feature names and category tables are kept.
+  #prepareTraining(X, y, { metric, sampleWeight, group, featureNames, numRound, init = null }) {
+    // Map task param to objective if needed
+    this.#resolveTask(y)
+
+    // Row objects are laid out in featureNames order from here on
+    this.#featureNames = this.#resolveFeatureNames(X, featureNames, init)
+    if (isRowObjects(X)) X = rowsByName(X, this.#featureNames)
+
+    // Categorical columns: learn code tables for string-valued ones
+    const catCols = this.#resolveCategorical()
+    this.#categories = init
+      ? init.categories
+      : catCols.length > 0 && Array.isArray(X)
+        ? learnCategories(X, catCols)
+        : null
+
+    const xTrain = this.#normalizeX(X)
+    const { rows, cols } = xTrain
+    this.#checkColumns(cols, catCols, init)
+
+    const yTrain = this.#resolveLabels(normalizeY(y), init)
+    if (yTrain.length !== rows) {
+      throw new Error(`y length (${yTrain.length}) does not match X rows (${rows})`)
+    }
+
+    const paramStr = this.#paramString(catCols, metric)
+    const wTrain = this.#normalizeWeight(sampleWeight, rows, 'sampleWeight')
+    const gTrain = this.#normalizeGroup(group, rows, 'group')
+
+    // Create Dataset
+    const ds = this.#createDataset(xTrain, paramStr, null)
+    try {
+      ds.setLabel(yTrain)
+      if (wTrain) ds.setWeight(wTrain)
+      if (gTrain) ds.setGroup(gTrain)
+      if (this.#featureNames) ds.setFeatureNames(this.#featureNames)
+    } catch (err) {
+      ds.dispose()
+      throw err
+    }
+
+    return {
+      ds, paramStr, xTrain, rows, cols, yTrain, wTrain, gTrain,
+      numRound: numRound ?? (this.#params.numRound || 100),
+      fobj: this.#objectiveFunction()
+    }
+  }
+
+  // #prepareTraining for row batches ({ X, y, sampleWeight? }, dense X),
+  // streamed into Dataset.fromChunks. The labels are only complete once
+  // every batch has been pushed, so the task and classes are resolved
+  // afterwards and the Dataset is binned with #binParamString (no objective,
+  // num_class or metric). String categories cannot be learned from a
+  // stream: categorical columns must hold integer codes. Without explicit
+  // featureNames, row objects in the first batch name the columns.
+  async #prepareBatches(batches, { metric, group, featureNames, numRound, nrow }) {
+    this.#categories = null
+    this.#classes = null
+    this.#nrClass = 0
+
+    // Peek at the first batch: the names must be known before the binning
+    // params (categoricalFeatures by name) are built. A re-readable source
+    // replays the peeked read once, then is called afresh.
+    const first = iterate(typeof batches === 'function' ? batches() : batches)
+    const head = await first.next()
+    this.#featureNames = this.#resolveFeatureNames(head.done ? null : head.value.X, featureNames, null)
+    const names = this.#featureNames
+    let pending = replay(first, head)
+    const catCols = this.#resolveCategorical()
+    let cols = 0
+    async function* toChunks(source) {
+      for await (const batch of source) {
+        const x = normalizeX(batch.X, null, names)
+        if (x.format || x.layout === 'col') throw new Error('Row batch X must be dense and row-major')
+        cols = x.cols
+        const label = batch.y == null ? null : normalizeY(batch.y)
+        yield { data: x.data, cols: x.cols, label, weight: batch.sampleWeight }
+      }
+    }
+    const chunks = typeof batches === 'function'
+      ? () => {
+          const source = pending ?? batches()
+          pending = null
+          return toChunks(source)
+        }
+      : toChunks(pending)
+    const ds = await Dataset.fromChunks(chunks, {
+      nrow, params: this.#binParamString(catCols)
+    })
+
+    try {
+      const yRaw = ds.getLabel()
+      if (!yRaw) throw new Error('Row batches must include y')
+      this.#resolveTask(yRaw)
+      this.#checkColumns(cols, catCols, null)
+      const yTrain = this.#resolveLabels(yRaw, null)
+      ds.setLabel(yTrain)
+      const paramStr = this.#paramString(catCols, metric)
+
+      const rows = yTrain.length
+      const wTrain = this.#normalizeWeight(ds.getWeight(), rows, 'sampleWeight')
+      const gTrain = this.#normalizeGroup(group, rows, 'group')
+      if (gTrain) ds.setGroup(gTrain)
+      if (names) ds.setFeatureNames(names)
+
+      return {
+        ds, paramStr, xTrain: null, rows, cols,
+        yTrain, wTrain, gTrain,
+        numRound: numRound ?? (this.#params.numRound || 100),
+        fobj: this.#objectiveFunction()
+      }
+    } catch (err) {
+      ds.dispose()
+      throw err
+    }
+  }
+
+  #checkColumns(cols, catCols, init) {
+    const names = this.#featureNames
+    if (names && names.length !== cols) {
+      throw new Error(`featureNames has ${names.length} entries, X has ${cols} columns`)
+    }
+    for (const j of catCols) {
+      if (j >= cols) {
+        throw new Error(`categoricalFeatures index ${j} is out of range for ${cols} columns`)
+      }
+    }
+    if (init && cols !== init.numFeature) {
+      throw new Error(`X has ${cols} columns, initModel was trained on ${init.numFeature}`)
+    }
+  }
+
+  // Validates the labels for the objective, sets classes (for classifiers)
+  // and returns the labels LightGBM trains on
+  #resolveLabels(yNorm, init) {
+    const obj = this.#objectiveName()
+    if (init && obj !== init.objective) {
+      throw new Error(`initModel was trained with objective '${init.objective}', got '${obj}'`)
+    }
+
+    // For classifiers: validate and extract classes, remap to 0-based
+    if (CLASSIFIER_OBJECTIVES.has(obj)) {
+      const unique = new Set()
+      for (let i = 0; i < yNorm.length; i++) {
+        const v = yNorm[i]
+        if (v !== Math.floor(v)) {
+          throw new Error(`Classifier labels must be integers, got ${v} at index ${i}`)
         }
+        unique.add(v)
       }
-      return { data, rows, cols }
+      if (init) {
+        // The class mapping is fixed by the initModel's trees
+        for (const v of unique) {
+          if (!init.classes.includes(v)) {
+            throw new Error(`Label ${v} is not one of the initModel classes [${init.classes.join(', ')}]`)
+          }
+        }
+        this.#classes = Int32Array.from(init.classes)
+      } else {
+        this.#classes = new Int32Array([...unique].sort((a, b) => a - b))
+      }
+      this.#nrClass = this.#classes.length
+    } else {
+      this.#classes = null
+      this.#nrClass = 0
+    }
+    return this.#encodeLabels(yNorm)
+  }
+
+  // LightGBM param string: "key1=value1 key2=value2"
+  #paramString(catCols, metric) {
+    const obj = this.#objectiveName()
+    const lgbParams = {}
+    for (const [key, val] of Object.entries(this.#params)) {
+      if (!WLEARN_PARAMS.has(key)) lgbParams[key] = val
+    }
+    // Defaults. A custom objective trains with LightGBM's objective=custom
+    // (no built-in gradients, raw score output).
+    if (!('objective' in lgbParams) || this.#objectiveFunction()) lgbParams.objective = obj
+    if (!('verbosity' in lgbParams)) lgbParams.verbosity = -1
+    if (metric !== undefined) lgbParams.metric = metric
+    if (catCols.length > 0) lgbParams.categorical_feature = catCols
+
+    // Auto-set num_class for multiclass
+    if ((obj === 'multiclass' || obj === 'multiclassova') &&
+        !('num_class' in lgbParams) && this.#nrClass > 0) {
+      lgbParams.num_class = this.#nrClass
     }
 
-    throw new Error('X must be number[][] or { data: TypedArray, rows, cols }')
+    return toParamString(lgbParams)
+  }
+
+  // Binning-only param string, for a Dataset built before the labels are
+  // resolved
+  #binParamString(catCols) {
+    const lgbParams = {}
+    for (const [key, val] of Object.entries(this.#params)) {
+      if (!WLEARN_PARAMS.has(key) && !LABEL_PARAMS.has(key)) lgbParams[key] = val
+    }
+    if (!('verbosity' in lgbParams)) lgbParams.verbosity = -1
+    if (catCols.length > 0) lgbParams.categorical_feature = catCols
+    return toParamString(lgbParams)
+  }
+
+  #objectiveFunction() {
+    return typeof this.#params.objective === 'function' ? this.#params.objective : null
+  }
+
+  #normalizeWeight(weight, rows, what) {
+    if (weight == null) return null
+    const w = weight instanceof Float32Array ? weight : new Float32Array(weight)
+    if (w.length !== rows) {
+      throw new Error(`${what} length (${w.length}) does not match X rows (${rows})`)
+    }
+    for (let i = 0; i < w.length; i++) {
+      if (!(w[i] >= 0)) {
+        throw new Error(`${what} must be non-negative, got ${w[i]} at index ${i}`)
+      }
+    }
+    return w
+  }
+
+  // Query group sizes. Required for ranking objectives, optional otherwise.
+  #normalizeGroup(group, rows, what) {
+    if (group == null) {
+      if (this.#isRanker()) {
+        throw new Error(`${what} (query group sizes) is required for ranking objectives`)
+      }
+      return null
+    }
+    const g = group instanceof Int32Array ? group : new Int32Array(group)
+    let total = 0
+    for (let i = 0; i < g.length; i++) {
+      if (g[i] <= 0) throw new Error(`${what} sizes must be positive, got ${g[i]} at index ${i}`)
+      total += g[i]
+    }
+    if (total !== rows) {
+      throw new Error(`${what} sizes sum to ${total}, expected ${rows} rows`)
+    }
+    return g
   }
 
   #ensureNotDisposed() {
@@ -415,6 +1269,49 @@ class LGBModel {
     if (!this.#fitted) throw new NotFittedError('LGBModel is not fitted. Call fit() first.')
   }
 
+  // fit's featureNames option, else the featureNames param, else the
+  // initModel's names, else the keys of the first row object. null when the
+  // columns are only positional.
+  #resolveFeatureNames(X, featureNames, init) {
+    const names = featureNames ?? this.#params.featureNames ?? (init && init.featureNames) ??
+      (isRowObjects(X) ? Object.keys(X[0]) : null)
+    if (names == null) return null
+    if (!Array.isArray(names) || names.some(n => typeof n !== 'string' || n === '')) {
+      throw new Error('featureNames must be an array of non-empty strings')
+    }
+    const seen = new Set()
+    for (const name of names) {
+      if (seen.has(name)) throw new Error(`featureNames has a duplicate entry '${name}'`)
+      seen.add(name)
+    }
+    return [...names]
+  }
+
+  // categoricalFeatures as sorted column indices. Names are looked up in the
+  // resolved feature names.
+  #resolveCategorical() {
+    const spec = this.#params.categoricalFeatures
+    if (!spec || spec.length === 0) return []
+    const names = this.#featureNames
+    const cols = new Set()
+    for (const f of spec) {
+      if (typeof f === 'number') {
+        if (!Number.isInteger(f) || f < 0) {
+          throw new Error(`categoricalFeatures entries must be column indices or names, got ${f}`)
+        }
+        cols.add(f)
+      } else {
+        if (!names) {
+          throw new Error(`categoricalFeatures name '${f}' requires featureNames`)
+        }
+        const j = names.indexOf(f)
+        if (j < 0) throw new Error(`categoricalFeatures name '${f}' is not in featureNames`)
+        cols.add(j)
+      }
+    }
+    return [...cols].sort((a, b) => a - b)
+  }
+
   #resolveTask(y) {
     const task = this.#params.task
     if (!task) return
@@ -438,15 +1335,27 @@ class LGBModel {
     }
   }
 
+  // LightGBM objective string; 'custom' when objective is a JS function
+  #objectiveName() {
+    const obj = this.#params.objective
+    if (typeof obj === 'function') return 'custom'
+    return obj || 'regression'
+  }
+
   #isClassifier() {
-    const obj = this.#params.objective || 'regression'
+    const obj = this.#objectiveName()
     return CLASSIFIER_OBJECTIVES.has(obj)
   }
+
+  #isRanker() {
+    return RANKER_OBJECTIVES.has(this.#objectiveName())
+  }
 }
 
 // --- Register loaders with @wlearn/core ---
 
 register('wlearn.lightgbm.classifier@1', async (m, t, b) => LGBModel._fromBundle(m, t, b))
 register('wlearn.lightgbm.regressor@1', async (m, t, b) => LGBModel._fromBundle(m, t, b))
+register('wlearn.lightgbm.ranker@1', async (m, t, b) => LGBModel._fromBundle(m, t, b))
 
 module.exports = { LGBModel }
@@ -0,0 +1,20 @@
+// LightGBM parameter string serialization
+
+// Serialize a params object to LightGBM's "key1=value1 key2=value2" format.
+// Arrays become comma-separated lists (metric, categorical_feature, ...);
+// null/undefined entries are dropped. LightGBM splits on whitespace, so a
+// value containing any would silently corrupt the neighbouring params.
+function toParamString(params) {
+  const parts = []
+  for (const [key, val] of Object.entries(params)) {
+    if (val === undefined || val === null) continue
+    const str = Array.isArray(val) ? val.join(',') : String(val)
+    if (/\s/.test(str)) {
+      throw new Error(`LightGBM param "${key}" must not contain whitespace, got '${str}'`)
+    }
+    parts.push(`${key}=${str}`)
+  }
+  return parts.join(' ')
+}
+
+module.exports = { toParamString }
@@ -0,0 +1,378 @@
+const { decodeBundle } = require('@wlearn/core')
+const { normalizeX } = require('./input.js')
+
+// Pure-JavaScript inference for saved LightGBM models
+//
+// Parses the LightGBM text model stored in a wlearn.lightgbm.*@1 bundle and
+// walks the trees in plain JS, so scoring does not need the WASM build. Tree
+// decisions and output transforms follow LightGBM 4.6 (include/LightGBM/
+// tree.h and the objective ConvertOutput implementations). Inputs go through
+// the same Float32 normalization as LGBModel, so results match
+// Booster.predict up to the last ulp of Math.exp.
+
+// decision_type bits (tree.h)
+const CATEGORICAL_MASK = 1
+const DEFAULT_LEFT_MASK = 2
+const MISSING_ZERO = 1
+const MISSING_NAN = 2
+
+// kZeroThreshold is a float constant in LightGBM
+const ZERO_THRESHOLD = Math.fround(1e-35)
+
+const PROBA_OBJECTIVES = new Set(['binary', 'multiclass', 'multiclassova'])
+
+// --- Model text parsing ---
+
+function parseNumber(s) {
+  if (s === 'inf' || s === '+inf') return Infinity
+  if (s === '-inf') return -Infinity
+  if (s === 'nan' || s === '-nan') return NaN
+  return Number(s)
+}
+
+function parseArray(value, Type) {
+  if (value === undefined || value === '') return new Type(0)
+  return Type.from(value.split(' '), parseNumber)
+}
+
+function parseTree(kv) {
+  if (kv.is_linear === '1') {
+    throw new Error('LGBPredictor does not support linear trees (linear_tree=true)')
+  }
+  const numLeaves = Number(kv.num_leaves)
+  const tree = {
+    numLeaves,
+    numCat: Number(kv.num_cat || 0),
+    leafValue: parseArray(kv.leaf_value, Float64Array)
+  }
+  if (numLeaves > 1) {
+    tree.splitFeature = parseArray(kv.split_feature, Int32Array)
+    tree.threshold = parseArray(kv.threshold, Float64Array)
+    tree.decisionType = parseArray(kv.decision_type, Uint8Array)
+    tree.leftChild = parseArray(kv.left_child, Int32Array)
+    tree.rightChild = parseArray(kv.right_child, Int32Array)
+  }
+  if (tree.numCat > 0) {
+    tree.catBoundaries = parseArray(kv.cat_boundaries, Int32Array)
+    tree.catThreshold = parseArray(kv.cat_threshold, Uint32Array)
+  }
+  return tree
+}
+
+// Header fields plus one { key: value } block per tree, up to "end of trees"
+function parseModelText(text) {
+  const header = {}
+  const blocks = []
+  let current = header
+  for (const line of text.split('\n')) {
+    if (line === 'end of trees') break
+    if (line.startsWith('Tree=')) {
+      current = {}
+      blocks.push(current)
+      continue
+    }
+    const eq = line.indexOf('=')
+    if (eq === -1) {
+      if (line === 'average_output') header.average_output = true
+      continue
+    }
+    current[line.slice(0, eq)] = line.slice(eq + 1)
+  }
+  if (header.version === undefined || header.max_feature_idx === undefined) {
+    throw new Error('Not a LightGBM text model')
+  }
+
+  const [objective, ...args] = (header.objective || 'none').split(' ')
+  const objectiveArgs = {}
+  for (const arg of args) {
+    const colon = arg.indexOf(':')
+    objectiveArgs[colon === -1 ? arg : arg.slice(0, colon)] =
+      colon === -1 ? true : parseNumber(arg.slice(colon + 1))
+  }
+
+  return {
+    numClass: Number(header.num_class),
+    numTreePerIteration: Number(header.num_tree_per_iteration),
+    numFeatures: Number(header.max_feature_idx) + 1,
+    averageOutput: header.average_output === true,
+    objective,
+    objectiveArgs,
+    trees: blocks.map(parseTree)
+  }
+}
+
+// --- Tree evaluation ---
+
+function numericalDecision(tree, fval, node) {
+  const decisionType = tree.decisionType[node]
+  const missingType = (decisionType >> 2) & 3
+  if (Number.isNaN(fval) && missingType !== MISSING_NAN) fval = 0
+  if ((missingType === MISSING_ZERO && fval >= -ZERO_THRESHOLD && fval <= ZERO_THRESHOLD) ||
+      (missingType === MISSING_NAN && Number.isNaN(fval))) {
+    return (decisionType & DEFAULT_LEFT_MASK) ? tree.leftChild[node] : tree.rightChild[node]
+  }
+  return fval <= tree.threshold[node] ? tree.leftChild[node] : tree.rightChild[node]
+}
+
+// NaN and negative values always go right; otherwise left when the category
+// bit is set in this split's bitset.
+function categoricalDecision(tree, fval, node) {
+  if (Number.isNaN(fval)) return tree.rightChild[node]
+  const cat = Math.trunc(fval)
+  if (cat < 0) return tree.rightChild[node]
+  const idx = tree.threshold[node]
+  const start = tree.catBoundaries[idx]
+  const word = cat >>> 5
+  if (word < tree.catBoundaries[idx + 1] - start &&
+      (tree.catThreshold[start + word] >>> (cat & 31)) & 1) {
+    return tree.leftChild[node]
+  }
+  return tree.rightChild[node]
+}
+
+function treeOutput(tree, row) {
+  if (tree.numLeaves <= 1) return tree.leafValue[0]
+  let node = 0
+  while (node >= 0) {
+    const fval = row[tree.splitFeature[node]]
+    node = (tree.numCat > 0 && (tree.decisionType[node] & CATEGORICAL_MASK))
+      ? categoricalDecision(tree, fval, node)
+      : numericalDecision(tree, fval, node)
+  }
+  return tree.leafValue[~node]
+}
+
+// Objective output transform (ObjectiveFunction::ConvertOutput), in place
+function makeConvertOutput(objective, args) {
+  const sigmoid = args.sigmoid ?? 1
+  switch (objective) {
+    case 'binary':
+      return (s) => { s[0] = 1 / (1 + Math.exp(-sigmoid * s[0])) }
+    case 'multiclass':
+      return (s) => {
+        let wmax = s[0]
+        for (let i = 1; i < s.length; i++) wmax = Math.max(s[i], wmax)
+        let wsum = 0
+        for (let i = 0; i < s.length; i++) {
+          s[i] = Math.exp(s[i] - wmax)
+          wsum += s[i]
+        }
+        for (let i = 0; i < s.length; i++) s[i] /= wsum
+      }
+    case 'multiclassova':
+      return (s) => {
+        for (let i = 0; i < s.length; i++) s[i] = 1 / (1 + Math.exp(-sigmoid * s[i]))
+      }
+    case 'cross_entropy':
+      return (s) => { s[0] = 1 / (1 + Math.exp(-s[0])) }
+    case 'cross_entropy_lambda':
+      return (s) => { s[0] = Math.log(1 + Math.exp(s[0])) }
+    case 'poisson':
+    case 'gamma':
+    case 'tweedie':
+      return (s) => { s[0] = Math.exp(s[0]) }
+    default:
+      // Regression objectives trained with reg_sqrt square the output back
+      if (args.sqrt) return (s) => { s[0] = Math.sign(s[0]) * s[0] * s[0] }
+      return null
+  }
+}
+
+// CSC -> CSR so rows can be scored one at a time
+function cscToCSR({ indptr, indices, values, rows, cols }) {
+  const rowPtr = new Int32Array(rows + 1)
+  for (let k = 0; k < indices.length; k++) rowPtr[indices[k] + 1]++
+  for (let i = 0; i < rows; i++) rowPtr[i + 1] += rowPtr[i]
+  const next = rowPtr.slice(0, rows)
+  const colIdx = new Int32Array(indices.length)
+  const vals = new (values instanceof Float64Array ? Float64Array : Float32Array)(indices.length)
+  for (let j = 0; j < cols; j++) {
+    for (let k = indptr[j]; k < indptr[j + 1]; k++) {
+      const pos = next[indices[k]]++
+      colIdx[pos] = j
+      vals[pos] = values[k]
+    }
+  }
+  return { format: 'csr', indptr: rowPtr, indices: colIdx, values: vals, rows, cols }
+}
+
+// --- LGBPredictor ---
+
+class LGBPredictor {
+  #model
+  #convertOutput
+  #typeId
+  #objective
+  #nrClass
+  #classes
+  #bestIteration
+  #categories
+  #featureNames
+
+  constructor(modelText, {
+    typeId, objective, nrClass = 0, classes = null, bestIteration = 0, categories = null,
+    featureNames = null
+  } = {}) {
+    this.#model = parseModelText(modelText)
+    this.#convertOutput = makeConvertOutput(this.#model.objective, this.#model.objectiveArgs)
+    this.#typeId = typeId || 'wlearn.lightgbm.regressor@1'
+    this.#objective = objective || 'regression'
+    this.#nrClass = nrClass
+    this.#classes = classes ? new Int32Array(classes) : null
+    this.#bestIteration = bestIteration
+    this.#categories = categories
+    this.#featureNames = featureNames
+  }
+
+  static async load(bytes) {
+    const { manifest, toc, blobs } = decodeBundle(bytes)
+    return LGBPredictor._fromBundle(manifest, toc, blobs)
+  }
+
+  static _fromBundle(manifest, toc, blobs) {
+    if (!/^wlearn\.lightgbm\.[a-z]+@1$/.test(manifest.typeId)) {
+      throw new Error(`LGBPredictor cannot load bundle of type "${manifest.typeId}"`)
+    }
+    const entry = toc.find(e => e.id === 'model')
+    if (!entry) throw new Error('Bundle missing "model" artifact')
+    const raw = blobs.subarray(entry.offset, entry.offset + entry.length)
+
+    const meta = manifest.metadata || {}
+    return new LGBPredictor(new TextDecoder().decode(raw), {
+      typeId: manifest.typeId,
+      objective: meta.objective,
+      nrClass: meta.nrClass || 0,
+      classes: meta.classes || null,
+      bestIteration: meta.bestIteration || 0,
+      categories: meta.categories || null,
+      featureNames: meta.featureNames || (manifest.params && manifest.params.featureNames) || null
+    })
+  }
+
+  predict(X, { threshold } = {}) {
+    const obj = this.#objective
+    if (threshold !== undefined && obj !== 'binary' && obj !== 'cross_entropy') {
+      throw new Error(`predict threshold requires a binary objective, got "${obj}"`)
+    }
+    if (threshold !== undefined && !(Number.isFinite(threshold) && threshold >= 0 && threshold <= 1)) {
+      throw new Error(`predict threshold must be a number in [0, 1], got ${threshold}`)
+    }
+    const scores = this.#score(X, true)
+    if (this.#typeId !== 'wlearn.lightgbm.classifier@1') return scores
+
+    const k = this.#model.numTreePerIteration
+    const rows = scores.length / k
+    const cut = threshold === undefined ? 0.5 : threshold
+    const result = new Float64Array(rows)
+    for (let i = 0; i < rows; i++) {
+      if (k === 1) {
+        result[i] = this.#classes[scores[i] > cut ? 1 : 0]
+        continue
+      }
+      let best = 0
+      for (let c = 1; c < k; c++) {
+        if (scores[i * k + c] > scores[i * k + best]) best = c
+      }
+      result[i] = this.#classes[best]
+    }
+    return result
+  }
+
+  predictProba(X) {
+    const obj = this.#objective
+    if (!PROBA_OBJECTIVES.has(obj)) {
+      throw new Error(`predictProba requires classification objective, got "${obj}"`)
+    }
+    const scores = this.#score(X, true)
+    if (obj !== 'binary') return scores
+
+    const result = new Float64Array(scores.length * 2)
+    for (let i = 0; i < scores.length; i++) {
+      result[i * 2] = 1 - scores[i]
+      result[i * 2 + 1] = scores[i]
+    }
+    return result
+  }
+
+  decisionFunction(X) {
+    if (this.#typeId !== 'wlearn.lightgbm.classifier@1') {
+      throw new Error(`decisionFunction requires classification objective, got "${this.#objective}"`)
+    }
+    return this.#score(X, false)
+  }
+
+  get nrClass() {
+    return this.#nrClass
+  }
+
+  get classes() {
+    return this.#classes ? Int32Array.from(this.#classes) : new Int32Array(0)
+  }
+
+  get bestIteration() {
+    return this.#bestIteration
+  }
+
+  get numFeatures() {
+    return this.#model.numFeatures
+  }
+
+  get featureNames() {
+    return this.#featureNames ? [...this.#featureNames] : null
+  }
+
+  // rows * numTreePerIteration scores, row-major. Mirrors GBDT::Predict:
+  // per-class sums over iterations, averaged for random forests, then the
+  // objective transform unless raw scores were asked for.
+  #score(X, transform) {
+    let x = normalizeX(X, this.#categories, this.#featureNames)
+    const { trees, numTreePerIteration: k, numFeatures, averageOutput } = this.#model
+    if (x.cols !== numFeatures) {
+      throw new Error(`The number of features in data (${x.cols}) is not the same as it was in training data (${numFeatures})`)
+    }
+    if (x.format === 'csc') x = cscToCSR(x)
+
+    const totalIter = trees.length / k
+    const numIter = this.#bestIteration > 0 ? Math.min(this.#bestIteration, totalIter) : totalIter
+    const convert = transform ? this.#convertOutput : null
+
+    const out = new Float64Array(x.rows * k)
+    const row = new Float64Array(numFeatures)
+    const s = new Float64Array(k)
+    for (let i = 0; i < x.rows; i++) {
+      this.#fillRow(x, i, row)
+      s.fill(0)
+      for (let t = 0; t < numIter * k; t++) s[t % k] += treeOutput(trees[t], row)
+      if (averageOutput) {
+        for (let c = 0; c < k; c++) s[c] /= numIter
+      }
+      if (convert) convert(s)
+      out.set(s, i * k)
+    }
+    return out
+  }
+
+  // Predict buffer as LightGBM fills it: float inputs widened to double,
+  // values within kZeroThreshold of zero stored as 0.
+  #fillRow(x, i, row) {
+    const keep = (v) => Math.abs(v) > ZERO_THRESHOLD || Number.isNaN(v)
+    if (x.format === 'csr') {
+      // LightGBM reads float32 values unless they are given as float64
+      const wide = x.values instanceof Float64Array
+      row.fill(0)
+      for (let p = x.indptr[i]; p < x.indptr[i + 1]; p++) {
+        const v = wide ? x.values[p] : Math.fround(x.values[p])
+        if (x.indices[p] < row.length && keep(v)) row[x.indices[p]] = v
+      }
+      return
+    }
+    // Column-major rows are strided by the row count
+    const [off, step] = x.layout === 'col' ? [i, x.rows] : [i * x.cols, 1]
+    for (let j = 0; j < x.cols; j++) {
+      const v = x.data[off + j * step]
+      row[j] = keep(v) ? v : 0
+    }
+  }
+}
+
+module.exports = { LGBPredictor }
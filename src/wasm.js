@@ -1,4 +1,8 @@
 // WASM loader -- loads the LightGBM WASM module (singleton, lazy init)
+//
+// The singleton is per thread: a worker started by LGBModel.createInWorker
+// loads its own instance (see worker.js). options are passed to the
+// Emscripten factory on the first call only (e.g. { wasmBinary }).
 
 let wasmModule = null
 let loading = null
@@ -12,6 +16,8 @@ async function loadLGB(options = {}) {
     wasmModule = await createLightGBM(options)
     return wasmModule
   })()
+  // Allow a retry (e.g. with other options) after a failed load
+  loading.catch(() => { loading = null })
 
   return loading
 }
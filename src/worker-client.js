@@ -0,0 +1,188 @@
+// Main-thread proxy for a model living in a worker (see worker.js)
+//
+// Training and prediction run off the main thread; every model method
+// returns a Promise. Inputs and results are structured-cloned, so functions
+// (custom objectives, evalMetric, callbacks) cannot be used here --
+// fitAsync reports progress through onProgress instead.
+
+function spawnDefaultWorker() {
+  let Worker
+  try {
+    ({ Worker } = require('node:worker_threads'))
+  } catch {}
+  if (typeof Worker !== 'function') {
+    throw new Error(
+      'No default worker in this environment: pass { worker: new Worker(url) } ' +
+      'pointing at dist/lightgbm.worker.js'
+    )
+  }
+  return new Worker(require('node:path').join(__dirname, 'worker.js'))
+}
+
+function assertCloneable(what, value) {
+  if (typeof value === 'function') {
+    throw new Error(`${what} cannot be a function when training in a worker`)
+  }
+}
+
+class LGBWorkerModel {
+  #worker
+  #pending = new Map()
+  #nextId = 1
+  #state = null
+  #disposed = false
+  #dead = null
+
+  constructor(worker) {
+    this.#worker = worker
+    const onMessage = (msg) => this.#onMessage(msg)
+    // A worker that errors or exits cannot answer any further requests
+    const onError = (err) => {
+      this.#dead = err instanceof Error ? err : new Error(`Worker failed: ${err.message || err}`)
+      this.#failAll(this.#dead)
+    }
+    // worker_threads Worker is an EventEmitter, a Web Worker an EventTarget
+    if (typeof worker.on === 'function') {
+      worker.on('message', onMessage)
+      worker.on('error', onError)
+      worker.on('exit', (code) => {
+        if (!this.#disposed) onError(new Error(`Worker exited with code ${code}`))
+      })
+    } else {
+      worker.addEventListener('message', (e) => onMessage(e.data))
+      worker.addEventListener('error', onError)
+    }
+    this.#updateRef()
+  }
+
+  // worker: optional Worker running worker.js (required in browsers).
+  // wasmOptions: cloneable options for the worker's loadLGB (e.g. wasmBinary).
+  static async create(params = {}, { worker, wasmOptions } = {}) {
+    assertCloneable('objective', params.objective)
+    const model = new LGBWorkerModel(worker || spawnDefaultWorker())
+    try {
+      model.#state = await model.#request({ type: 'init', params, wasmOptions })
+    } catch (err) {
+      model.#worker.terminate()
+      throw err
+    }
+    return model
+  }
+
+  // Train in the worker. onProgress({ iteration, evals }) is called after
+  // every round; training cannot be interrupted other than by dispose().
+  async fitAsync(X, y, { onProgress, ...opts } = {}) {
+    if (opts.evalMetric || opts.callbacks) {
+      throw new Error('evalMetric and callbacks are not supported in a worker; use onProgress')
+    }
+    this.#state = await this.#request({ type: 'fit', X, y, opts }, onProgress)
+    return this
+  }
+
+  async load(bytes) {
+    this.#state = await this.#request({ type: 'load', bytes })
+    return this
+  }
+
+  predict(X, opts) { return this.#call('predict', X, opts) }
+  predictProba(X, opts) { return this.#call('predictProba', X, opts) }
+  decisionFunction(X, opts) { return this.#call('decisionFunction', X, opts) }
+  predictContrib(X, opts) { return this.#call('predictContrib', X, opts) }
+  predictLeaf(X, opts) { return this.#call('predictLeaf', X, opts) }
+  score(X, y, opts) { return this.#call('score', X, y, opts) }
+  save(opts) { return this.#call('save', opts) }
+  toJSON() { return this.#call('toJSON') }
+  dumpModel(opts) { return this.#call('dumpModel', opts) }
+
+  getFeatureImportances() {
+    return this.#request({ type: 'featureImportances' })
+  }
+
+  getParams() {
+    return { ...this.#state.params }
+  }
+
+  async setParams(p) {
+    assertCloneable('objective', p.objective)
+    this.#state = await this.#request({ type: 'setParams', params: p })
+    return this
+  }
+
+  // Snapshot of the worker model after the last create/fit/load
+  get isFitted() { return !this.#disposed && this.#state.isFitted }
+  get nrClass() { return this.#state.nrClass }
+  get classes() { return Int32Array.from(this.#state.classes) }
+  get featureNames() { return this.#state.featureNames && [...this.#state.featureNames] }
+  get bestIteration() { return this.#state.bestIteration }
+  get evalsResult() { return this.#state.evalsResult }
+  get capabilities() { return { ...this.#state.capabilities } }
+  get probaDim() { return this.#state.probaDim }
+
+  // Frees the model and terminates the worker; pending calls reject
+  async dispose() {
+    if (this.#disposed) return
+    try {
+      if (!this.#dead) await this.#request({ type: 'dispose' })
+    } finally {
+      this.#disposed = true
+      this.#failAll(new Error('LGBWorkerModel disposed'))
+      await this.#worker.terminate()
+    }
+  }
+
+  #call(method, ...args) {
+    while (args.length > 0 && args[args.length - 1] === undefined) args.pop()
+    return this.#request({ type: 'call', method, args })
+  }
+
+  #request(msg, onProgress) {
+    if (this.#disposed) return Promise.reject(new Error('LGBWorkerModel already disposed'))
+    if (this.#dead) return Promise.reject(this.#dead)
+    const id = this.#nextId++
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, { resolve, reject, onProgress })
+      this.#updateRef()
+      try {
+        this.#worker.postMessage({ ...msg, id })
+      } catch (err) {
+        this.#pending.delete(id)
+        this.#updateRef()
+        reject(err)
+      }
+    })
+  }
+
+  #onMessage(msg) {
+    const pending = this.#pending.get(msg.id)
+    if (!pending) return
+    if (msg.type === 'progress') {
+      if (pending.onProgress) pending.onProgress({ iteration: msg.iteration, evals: msg.evals })
+      return
+    }
+    this.#pending.delete(msg.id)
+    this.#updateRef()
+    if (msg.error) {
+      const err = new Error(msg.error.message)
+      err.name = msg.error.name
+      pending.reject(err)
+    } else {
+      pending.resolve(msg.result)
+    }
+  }
+
+  #failAll(err) {
+    for (const { reject } of this.#pending.values()) reject(err)
+    this.#pending.clear()
+    this.#updateRef()
+  }
+
+  // A Node worker keeps the process alive only while a request is in
+  // flight, so an idle model that was never disposed does not block exit
+  #updateRef() {
+    if (typeof this.#worker.unref !== 'function') return
+    if (this.#pending.size > 0) this.#worker.ref()
+    else this.#worker.unref()
+  }
+}
+
+module.exports = { LGBWorkerModel }
@@ -0,0 +1,98 @@
+// Worker entry point for LGBModel.createInWorker
+//
+// Runs in a worker_threads Worker (Node) or a Web Worker (browser, via the
+// dist/lightgbm.worker.js bundle) and owns one LGBModel. The main thread
+// talks to it through worker-client.js with { id, type, ... } messages;
+// every request gets exactly one { id, result } or { id, error } reply, and
+// fit additionally streams { id, type: 'progress', iteration, evals }.
+
+const { LGBModel } = require('./model.js')
+const { loadLGB } = require('./wasm.js')
+
+// Model methods the main thread may call; all take and return cloneable data
+const METHODS = new Set([
+  'predict', 'predictProba', 'decisionFunction', 'predictContrib',
+  'predictLeaf', 'score', 'save', 'toJSON', 'dumpModel'
+])
+
+let model = null
+
+function state() {
+  if (!model) return null
+  return {
+    params: model.getParams(),
+    isFitted: model.isFitted,
+    nrClass: model.nrClass,
+    classes: Array.from(model.classes),
+    featureNames: model.featureNames,
+    bestIteration: model.bestIteration,
+    evalsResult: model.evalsResult,
+    capabilities: model.capabilities,
+    probaDim: model.probaDim
+  }
+}
+
+async function handle(msg, post) {
+  switch (msg.type) {
+    case 'init':
+      await loadLGB(msg.wasmOptions)
+      model = await LGBModel.create(msg.params)
+      return state()
+
+    case 'load':
+      await loadLGB(msg.wasmOptions)
+      if (model) model.dispose()
+      model = await LGBModel.load(msg.bytes)
+      return state()
+
+    case 'fit': {
+      // Progress replaces callbacks, which cannot cross the thread boundary
+      const progress = {
+        onIterationEnd: ({ iteration, evals }) => {
+          post({ id: msg.id, type: 'progress', iteration, evals })
+        }
+      }
+      await model.fit(msg.X, msg.y, { ...msg.opts, callbacks: [progress] })
+      return state()
+    }
+
+    case 'setParams':
+      model.setParams(msg.params)
+      return state()
+
+    case 'featureImportances':
+      return model.featureImportances
+
+    case 'call':
+      if (!METHODS.has(msg.method)) throw new Error(`Unknown method: ${msg.method}`)
+      return model[msg.method](...msg.args)
+
+    case 'dispose':
+      if (model) model.dispose()
+      model = null
+      return null
+
+    default:
+      throw new Error(`Unknown message type: ${msg.type}`)
+  }
+}
+
+function listen(onMessage, post) {
+  onMessage(async (msg) => {
+    try {
+      const result = await handle(msg, post)
+      post({ id: msg.id, result })
+    } catch (err) {
+      post({ id: msg.id, error: { name: err.name, message: err.message } })
+    }
+  })
+}
+
+// worker_threads when available, else the Web Worker global scope. The
+// browser bundle aliases node:worker_threads to an empty module.
+const { parentPort } = require('node:worker_threads')
+if (parentPort) {
+  listen((fn) => parentPort.on('message', fn), (m) => parentPort.postMessage(m))
+} else if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+  listen((fn) => { self.onmessage = (e) => fn(e.data) }, (m) => self.postMessage(m))
+}
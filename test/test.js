@@ -1,4 +1,4 @@
-const { LGBModel, loadLGB, Dataset, Booster } = require('../src/index.js')
+const { LGBModel, loadLGB, Dataset, Booster, LGBPredictor, cv } = require('../src/index.js')
 const { decodeBundle } = require('@wlearn/core')
 
 // --- Test harness ---
@@ -29,6 +29,11 @@ function assertClose(a, b, tol, msg) {
   }
 }
 
+function assertAllClose(a, b, tol, msg) {
+  assert(a.length === b.length, `${msg}: length ${a.length} !== ${b.length}`)
+  for (let i = 0; i < a.length; i++) assertClose(a[i], b[i], tol, `${msg}[${i}]`)
+}
+
 // --- Deterministic data generation (LCG PRNG) ---
 
 function makeLCG(seed) {
@@ -79,6 +84,78 @@ function makeRegressionData(n, seed = 42) {
   return { X, y }
 }
 
+function makeSparseData(n, cols = 10, seed = 42) {
+  const rng = makeLCG(seed)
+  const X = [], y = []
+  for (let i = 0; i < n; i++) {
+    const row = new Array(cols).fill(0)
+    for (let j = 0; j < cols; j++) {
+      if (rng() < 0.2) row[j] = Math.round(rng() * 5)
+    }
+    X.push(row)
+    y.push(row[0] + row[1] > row[2] ? 1 : 0)
+  }
+  return { X, y }
+}
+
+function makeCategoricalData(n, seed = 42) {
+  const rng = makeLCG(seed)
+  const colors = ['red', 'green', 'blue', 'yellow']
+  const X = [], y = []
+  for (let i = 0; i < n; i++) {
+    const color = colors[Math.floor(rng() * colors.length)]
+    const x = rng() * 2 - 1
+    X.push([color, x])
+    y.push(color === 'red' || color === 'blue' ? 1 : 0)
+  }
+  return { X, y }
+}
+
+function makeRankingData(nQueries, docsPerQuery = 10, seed = 42) {
+  const rng = makeLCG(seed)
+  const X = [], y = [], group = []
+  for (let q = 0; q < nQueries; q++) {
+    for (let d = 0; d < docsPerQuery; d++) {
+      const x1 = rng()
+      const x2 = rng()
+      X.push([x1, x2])
+      // Relevance 0..3 driven by x1
+      y.push(Math.min(3, Math.floor(x1 * 4)))
+    }
+    group.push(docsPerQuery)
+  }
+  return { X, y, group }
+}
+
+function toCSR(X) {
+  const indptr = [0], indices = [], values = []
+  for (const row of X) {
+    for (let j = 0; j < row.length; j++) {
+      if (row[j] !== 0) { indices.push(j); values.push(row[j]) }
+    }
+    indptr.push(indices.length)
+  }
+  return {
+    indptr: new Int32Array(indptr),
+    indices: new Int32Array(indices),
+    values: new Float32Array(values),
+    rows: X.length,
+    cols: X[0].length
+  }
+}
+
+function toCSC(X) {
+  const rows = X.length, cols = X[0].length
+  const indptr = [0], indices = [], values = []
+  for (let j = 0; j < cols; j++) {
+    for (let i = 0; i < rows; i++) {
+      if (X[i][j] !== 0) { indices.push(i); values.push(X[i][j]) }
+    }
+    indptr.push(indices.length)
+  }
+  return { format: 'csc', indptr, indices, values, rows, cols }
+}
+
 // --- Tests ---
 
 async function main() {
@@ -122,6 +199,151 @@ await test('Dataset double dispose is safe', async () => {
   ds.dispose() // should not throw
 })
 
+console.log('\n-- Streaming Datasets --')
+
+// Row-major chunks of `size` rows: { data, cols, label }
+function* rowChunks(X, y, size) {
+  for (let i = 0; i < X.length; i += size) {
+    const rows = X.slice(i, i + size)
+    yield { data: new Float32Array(rows.flat()), cols: X[0].length, label: new Float32Array(y.slice(i, i + size)) }
+  }
+}
+
+await test('Dataset.fromChunks bins like the in-memory Dataset', async () => {
+  const { X, y } = makeRegressionData(300)
+  const params = 'objective=regression verbosity=-1 num_leaves=8'
+  const flat = new Float32Array(X.flat())
+
+  const full = new Dataset(flat, 300, 2, params)
+  full.setLabel(new Float32Array(y))
+  // Async source, known row count: one pass
+  const streamed = await Dataset.fromChunks((async function* () { yield* rowChunks(X, y, 64) })(), {
+    nrow: 300, params
+  })
+  // Re-readable source: counted first
+  const counted = await Dataset.fromChunks(() => rowChunks(X, y, 100), { params })
+  assert(streamed.getNumData() === 300 && counted.getNumData() === 300, 'all rows pushed')
+  assertAllClose(counted.getLabel(), full.getLabel(), 0, 'labels')
+
+  const preds = [full, streamed, counted].map(ds => {
+    const b = new Booster(ds, params)
+    for (let i = 0; i < 5; i++) b.update()
+    const p = b.predict(flat, 300, 2)
+    b.dispose()
+    return p
+  })
+  assertAllClose(preds[1], preds[0], 1e-12, 'streamed (single pass)')
+  assertAllClose(preds[2], preds[0], 1e-12, 'streamed (counted)')
+
+  // Validation data streamed against the training bins
+  const valid = await Dataset.fromChunks(rowChunks(X.slice(0, 50), y.slice(0, 50), 20), {
+    nrow: 50, reference: full
+  })
+  const b = new Booster(full, params)
+  b.addValidData(valid)
+  b.update()
+  assert(b.getEval(1).length === 1, 'validation metric available')
+
+  for (const d of [b, valid, full, streamed, counted]) d.dispose()
+})
+
+await test('Dataset.fromChunks checks row counts and chunk fields', async () => {
+  const { X, y } = makeRegressionData(100)
+  const expectThrow = async (chunks, opts, text) => {
+    let msg = ''
+    try { (await Dataset.fromChunks(chunks, opts)).dispose() } catch (e) { msg = e.message }
+    assert(msg.includes(text), `expected '${text}', got '${msg}'`)
+  }
+  await expectThrow(rowChunks(X, y, 30), { nrow: 120 }, 'hold 100 rows')
+  await expectThrow(rowChunks(X, y, 30), { nrow: 90 }, 'more than 90 rows')
+  await expectThrow(rowChunks(X, y, 30), {}, 'needs nrow')
+  const mixed = [...rowChunks(X, y, 50)]
+  delete mixed[1].label
+  await expectThrow(mixed, { nrow: 100, params: 'bin_construct_sample_cnt=10' }, 'every chunk or none')
+  await expectThrow(rowChunks(X, y, 30), { nrow: 100, params: 'bin_construct_sample_cnt=0' }, 'positive integer')
+  await expectThrow(rowChunks(X, y, 30), { nrow: 100, sampleRows: 0 }, 'sampleRows must be a positive integer')
+  await expectThrow(rowChunks(X, y, 30), { nrows: 100 }, "unknown option 'nrows'")
+})
+
+await test('Dataset.fromChunks single pass keeps only the sample', async () => {
+  const { X, y } = makeRegressionData(300)
+  const params = 'objective=regression verbosity=-1 num_leaves=8'
+  // One data and label buffer, overwritten for every chunk
+  function* reused(size) {
+    const data = new Float32Array(size * 2)
+    const label = new Float32Array(size)
+    for (let i = 0; i < X.length; i += size) {
+      const rows = X.slice(i, i + size)
+      data.set(rows.flat())
+      label.set(y.slice(i, i + size))
+      yield { data: data.subarray(0, rows.length * 2), cols: 2, label: label.subarray(0, rows.length) }
+    }
+  }
+  // The 100-row sample ends inside the second chunk
+  const a = await Dataset.fromChunks(reused(64), { nrow: 300, params, sampleRows: 100 })
+  const b = await Dataset.fromChunks(rowChunks(X, y, 64), { nrow: 300, params: `${params} bin_construct_sample_cnt=100` })
+  assertAllClose(a.getLabel(), Float32Array.from(y), 0, 'labels from a reused buffer')
+
+  const flat = new Float32Array(X.flat())
+  const preds = [a, b].map(ds => {
+    const booster = new Booster(ds, params)
+    for (let i = 0; i < 5; i++) booster.update()
+    const p = booster.predict(flat, 300, 2)
+    booster.dispose()
+    return p
+  })
+  assertAllClose(preds[0], preds[1], 0, 'sampleRows matches bin_construct_sample_cnt')
+  a.dispose()
+  b.dispose()
+})
+
+await test('fit accepts async row batches', async () => {
+  const { X, y } = makeBinaryData(300)
+  const labels = y.map(v => (v ? 7 : 3))
+  async function* batches() {
+    for (let i = 0; i < X.length; i += 50) {
+      yield { X: X.slice(i, i + 50), y: labels.slice(i, i + 50) }
+    }
+  }
+  const params = { objective: 'binary', numRound: 10, num_leaves: 8 }
+
+  const inMemory = await LGBModel.create(params)
+  inMemory.fit(X, labels)
+  const streamed = await LGBModel.create(params)
+  const ret = await streamed.fit(batches(), null, { nrow: 300 })
+  assert(ret === streamed, 'resolves to the model')
+  assert(streamed.classes.join(',') === '3,7', 'classes from the streamed labels')
+  assertAllClose(streamed.predictProba(X), inMemory.predictProba(X), 1e-12, 'same model as in memory')
+
+  // A function returning the batches is read twice, no nrow needed
+  const counted = await LGBModel.create({ task: 'classification', numRound: 10, num_leaves: 8 })
+  await counted.fit(batches, null, { evalSet: [{ X, y: labels }] })
+  assert(counted.getParams().objective === 'binary', 'task resolved from the streamed labels')
+  assert(counted.evalsResult.valid_0.binary_logloss.length === 10, 'evaluated every round')
+
+  let msg = ''
+  try { await streamed.fit(batches(), labels, { nrow: 300 }) } catch (e) { msg = e.message }
+  assert(msg.includes('each batch'), `expected batch error, got '${msg}'`)
+
+  for (const m of [inMemory, streamed, counted]) m.dispose()
+})
+
+await test('fit row batches resolve multiclass after the stream', async () => {
+  const { X, y } = makeMulticlassData(300)
+  function* batches() {
+    for (let i = 0; i < X.length; i += 100) yield { X: X.slice(i, i + 100), y: y.slice(i, i + 100) }
+  }
+  const inMemory = await LGBModel.create({ task: 'classification', numRound: 10 })
+  inMemory.fit(X, y)
+  const streamed = await LGBModel.create({ task: 'classification', numRound: 10 })
+  await streamed.fit(batches, null, { metric: 'multi_error' })
+  assert(streamed.getParams().objective === 'multiclass', 'multiclass from the streamed labels')
+  assert(streamed.nrClass === 3, `nrClass ${streamed.nrClass}`)
+  assertAllClose(streamed.predictProba(X), inMemory.predictProba(X), 1e-12, 'same model as in memory')
+  inMemory.dispose()
+  streamed.dispose()
+})
+
 console.log('\n-- Booster --')
 
 await test('Booster create + update + predict', async () => {
@@ -197,6 +419,67 @@ await test('Booster getNumClasses', async () => {
   booster.dispose()
 })
 
+await test('Booster validation Dataset shares the training bins', async () => {
+  const train = makeRegressionData(200, 1)
+  const valid = makeRegressionData(80, 2)
+  const params = 'objective=regression metric=l2 verbosity=-1 num_leaves=8'
+  const vFlat = new Float32Array(valid.X.flat())
+
+  const ds = new Dataset(new Float32Array(train.X.flat()), 200, 2, params)
+  ds.setLabel(new Float32Array(train.y))
+  const vds = new Dataset(vFlat, 80, 2, params, { reference: ds })
+  vds.setLabel(new Float32Array(valid.y))
+
+  const booster = new Booster(ds, params)
+  booster.addValidData(vds)
+  for (let i = 0; i < 10; i++) booster.update()
+
+  // Scores LightGBM tracks on the binned validation data agree with
+  // predicting the raw values
+  const preds = booster.predict(vFlat, 80, 2)
+  let l2 = 0
+  for (let i = 0; i < 80; i++) l2 += (preds[i] - Math.fround(valid.y[i])) ** 2
+  assertClose(booster.getEval(1)[0], l2 / 80, 1e-6, 'validation l2')
+
+  // A Dataset binned on its own is rejected
+  const own = new Dataset(vFlat, 80, 2, params)
+  own.setLabel(new Float32Array(valid.y))
+  let msg = ''
+  try { booster.addValidData(own) } catch (e) { msg = e.message }
+  assert(msg.includes('addValidData'), `expected addValidData error, got '${msg}'`)
+
+  for (const d of [booster, own, vds, ds]) d.dispose()
+})
+
+await test('Booster rollback, currentIteration and saveModel range', async () => {
+  const { X, y } = makeRegressionData(100)
+  const rows = X.length, cols = X[0].length
+  const flat = new Float32Array(X.flat())
+
+  const ds = new Dataset(flat, rows, cols, 'objective=regression verbosity=-1')
+  ds.setLabel(new Float32Array(y))
+  const booster = new Booster(ds.handle, 'objective=regression verbosity=-1 num_leaves=8')
+  for (let i = 0; i < 10; i++) booster.update()
+  assert(booster.currentIteration === 10, `expected 10 iterations, got ${booster.currentIteration}`)
+
+  const first9 = booster.predict(flat, rows, cols, { numIteration: 9 })
+  booster.rollback()
+  assert(booster.currentIteration === 9, 'rollback drops one iteration')
+  assertAllClose(booster.predict(flat, rows, cols), first9, 1e-12, 'rolled-back predictions')
+
+  const part = Booster.loadModel(booster.saveModel({ startIteration: 2, numIteration: 3 }))
+  assert(part.currentIteration === 3, `expected 3 saved iterations, got ${part.currentIteration}`)
+  assertAllClose(
+    part.predict(flat, rows, cols),
+    booster.predict(flat, rows, cols, { startIteration: 2, numIteration: 3 }),
+    1e-12, 'saved range'
+  )
+
+  part.dispose()
+  booster.dispose()
+  ds.dispose()
+})
+
 console.log('\n-- Binary Classification (LGBModel) --')
 
 await test('LGBModel.create returns unfitted model', async () => {
@@ -428,6 +711,1678 @@ await test('Save and load round-trip (multiclass)', async () => {
   loaded.dispose()
 })
 
+console.log('\n-- Validation Sets / Early Stopping --')
+
+await test('Early stopping stops before numRound', async () => {
+  const train = makeBinaryData(200, 42)
+  const valid = makeBinaryData(100, 7)
+  const model = await LGBModel.create({
+    objective: 'binary',
+    learning_rate: 0.3,
+    num_leaves: 15,
+    numRound: 500
+  })
+  model.fit(train.X, train.y, {
+    evalSet: [{ X: valid.X, y: valid.y, name: 'valid' }],
+    earlyStoppingRounds: 5,
+    metric: 'binary_logloss'
+  })
+
+  const best = model.bestIteration
+  assert(best > 0 && best < 500, `bestIteration should be in (0, 500), got ${best}`)
+
+  const score = model.score(valid.X, valid.y)
+  assert(score > 0.8, `validation accuracy should be > 0.8, got ${score}`)
+
+  model.dispose()
+})
+
+await test('Early stopping with higher-is-better metric (auc)', async () => {
+  const train = makeBinaryData(200, 42)
+  const valid = makeBinaryData(100, 7)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 300, num_leaves: 8 })
+  model.fit(train.X, train.y, {
+    evalSet: [{ X: valid.X, y: valid.y }],
+    earlyStoppingRounds: 10,
+    metric: ['auc', 'binary_logloss']
+  })
+  assert(model.bestIteration > 0, `bestIteration should be set, got ${model.bestIteration}`)
+  model.dispose()
+})
+
+await test('Best iteration survives save/load', async () => {
+  const train = makeMulticlassData(200, 3, 42)
+  const valid = makeMulticlassData(100, 3, 7)
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 300, learning_rate: 0.3 })
+  model.fit(train.X, train.y, {
+    evalSet: [{ X: valid.X, y: valid.y }],
+    earlyStoppingRounds: 5
+  })
+
+  const bundle = model.save()
+  const { manifest } = decodeBundle(bundle)
+  assert(manifest.metadata.bestIteration === model.bestIteration, 'bestIteration should be in metadata')
+
+  const loaded = await LGBModel.load(bundle)
+  assert(loaded.bestIteration === model.bestIteration, 'loaded bestIteration should match')
+  const p1 = model.predictProba(valid.X)
+  const p2 = loaded.predictProba(valid.X)
+  for (let i = 0; i < p1.length; i++) {
+    assertClose(p1[i], p2[i], 1e-6, `proba[${i}]`)
+  }
+
+  model.dispose()
+  loaded.dispose()
+})
+
+await test('earlyStoppingRounds without evalSet throws', async () => {
+  const { X, y } = makeBinaryData(50)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  let threw = false
+  try {
+    model.fit(X, y, { earlyStoppingRounds: 5 })
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('evalSet'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+await test('evalSet with unseen class throws', async () => {
+  const train = makeBinaryData(50)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  let threw = false
+  try {
+    model.fit(train.X, train.y, { evalSet: [{ X: [[0, 0]], y: [5] }] })
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('not seen'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+console.log('\n-- Sample Weights --')
+
+await test('Dataset setWeight', async () => {
+  const data = new Float32Array([1, 2, 3, 4])
+  const ds = new Dataset(data, 2, 2)
+  ds.setLabel(new Float32Array([0, 1]))
+  ds.setWeight(new Float32Array([0.5, 2]))
+  ds.dispose()
+})
+
+await test('Regression sampleWeight gives weighted mean', async () => {
+  // Constant feature: no splits possible, prediction is the weighted mean
+  const X = [], y = [], w = []
+  for (let i = 0; i < 40; i++) {
+    X.push([1])
+    y.push(i % 2 === 0 ? 0 : 10)
+    w.push(i % 2 === 0 ? 1 : 3)
+  }
+  const model = await LGBModel.create({ objective: 'regression', numRound: 5 })
+  model.fit(X, y, { sampleWeight: w })
+  const preds = model.predict([[1]])
+  assertClose(preds[0], 7.5, 1e-3, 'weighted mean')
+  model.dispose()
+})
+
+await test('Binary sampleWeight shifts probabilities', async () => {
+  const { X, y } = makeBinaryData(200)
+  const params = { objective: 'binary', numRound: 20, num_leaves: 4, learning_rate: 0.05 }
+
+  const plain = await LGBModel.create(params)
+  plain.fit(X, y)
+  const weighted = await LGBModel.create(params)
+  weighted.fit(X, y, { sampleWeight: y.map(v => v === 1 ? 5 : 1) })
+
+  const mean = (p) => {
+    let s = 0
+    for (let i = 0; i < X.length; i++) s += p[i * 2 + 1]
+    return s / X.length
+  }
+  const m1 = mean(plain.predictProba(X))
+  const m2 = mean(weighted.predictProba(X))
+  assert(m2 > m1, `upweighting class 1 should raise mean P(1): ${m2} <= ${m1}`)
+
+  plain.dispose()
+  weighted.dispose()
+})
+
+await test('Multiclass sampleWeight + weighted evalSet', async () => {
+  const train = makeMulticlassData(150, 3, 42)
+  const valid = makeMulticlassData(60, 3, 7)
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 100, learning_rate: 0.3 })
+  model.fit(train.X, train.y, {
+    sampleWeight: train.y.map(c => c + 1),
+    evalSet: [{ X: valid.X, y: valid.y, sampleWeight: valid.y.map(c => c + 1) }],
+    earlyStoppingRounds: 5
+  })
+  assert(model.bestIteration > 0, 'bestIteration should be set')
+  const preds = model.predict(valid.X)
+  assert(preds.length === valid.X.length, 'prediction count should match')
+  model.dispose()
+})
+
+await test('sampleWeight length mismatch throws', async () => {
+  const { X, y } = makeBinaryData(20)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  let threw = false
+  try {
+    model.fit(X, y, { sampleWeight: [1, 2, 3] })
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('sampleWeight'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+console.log('\n-- Sparse Input --')
+
+await test('Dataset.fromCSR and fromCSC', async () => {
+  const { X, y } = makeSparseData(50)
+  const csr = Dataset.fromCSR(toCSR(X))
+  csr.setLabel(new Float32Array(y))
+  const csc = Dataset.fromCSC(toCSC(X))
+  csc.setLabel(new Float32Array(y))
+  csr.dispose()
+  csc.dispose()
+})
+
+await test('CSR fit matches dense fit', async () => {
+  const { X, y } = makeSparseData(300)
+  const params = { objective: 'binary', numRound: 20, num_leaves: 8 }
+
+  const dense = await LGBModel.create(params)
+  dense.fit(X, y)
+  const sparse = await LGBModel.create(params)
+  sparse.fit(toCSR(X), y)
+
+  const p1 = dense.predictProba(X)
+  const p2 = sparse.predictProba(toCSR(X))
+  for (let i = 0; i < p1.length; i++) {
+    assertClose(p1[i], p2[i], 1e-6, `proba[${i}]`)
+  }
+
+  dense.dispose()
+  sparse.dispose()
+})
+
+await test('CSR and CSC predict match dense predict', async () => {
+  const { X, y } = makeSparseData(200)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 20, num_leaves: 8 })
+  model.fit(X, y)
+
+  const pDense = model.predict(X)
+  const pCSR = model.predict(toCSR(X))
+  const pCSC = model.predict(toCSC(X))
+  for (let i = 0; i < pDense.length; i++) {
+    assert(pDense[i] === pCSR[i], `CSR pred[${i}] mismatch`)
+    assert(pDense[i] === pCSC[i], `CSC pred[${i}] mismatch`)
+  }
+
+  model.dispose()
+})
+
+await test('CSR evalSet with early stopping', async () => {
+  const train = makeSparseData(300, 10, 42)
+  const valid = makeSparseData(100, 10, 7)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 200, learning_rate: 0.3 })
+  model.fit(toCSR(train.X), train.y, {
+    evalSet: [{ X: toCSR(valid.X), y: valid.y }],
+    earlyStoppingRounds: 5
+  })
+  assert(model.bestIteration > 0, 'bestIteration should be set')
+  model.dispose()
+})
+
+await test('CSR with bad indptr throws', async () => {
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  let threw = false
+  try {
+    model.fit({ indptr: [0, 1], indices: [0], values: [1], rows: 3, cols: 2 }, [0, 1, 0])
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('indptr'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+await test('sparse indices out of range throw', async () => {
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  const errorOf = (X) => {
+    try { model.fit(X, [0, 1]) } catch (e) { return e.message }
+    return ''
+  }
+  let msg = errorOf({ indptr: [0, 1, 2], indices: [0, 2], values: [1, 1], rows: 2, cols: 2 })
+  assert(msg.includes('index 2 at position 1 is out of range for 2 columns'), `CSR: '${msg}'`)
+  msg = errorOf({ indptr: [0, 1, 2], indices: [0, -1], values: [1, 1], rows: 2, cols: 2 })
+  assert(msg.includes('index -1'), `negative: '${msg}'`)
+  msg = errorOf({ format: 'csc', indptr: [0, 1, 2], indices: [1, 5], values: [1, 1], rows: 2, cols: 2 })
+  assert(msg.includes('out of range for 2 rows'), `CSC: '${msg}'`)
+  model.dispose()
+})
+
+console.log('\n-- Categorical Features --')
+
+const catParams = {
+  objective: 'binary',
+  numRound: 20,
+  num_leaves: 8,
+  min_data_per_group: 5,
+  cat_smooth: 1
+}
+
+await test('String categorical column by index', async () => {
+  const { X, y } = makeCategoricalData(300)
+  const model = await LGBModel.create({ ...catParams, categoricalFeatures: [0] })
+  model.fit(X, y)
+  const score = model.score(X, y)
+  assert(score > 0.95, `accuracy should be > 0.95, got ${score}`)
+  model.dispose()
+})
+
+await test('Categorical column by name', async () => {
+  const { X, y } = makeCategoricalData(300)
+  const model = await LGBModel.create({
+    ...catParams,
+    featureNames: ['color', 'x'],
+    categoricalFeatures: ['color']
+  })
+  model.fit(X, y)
+  const preds = model.predict([['red', 0], ['green', 0]])
+  assert(preds[0] === 1 && preds[1] === 0, `expected [1, 0], got [${preds}]`)
+  model.dispose()
+})
+
+await test('Category mapping survives save/load', async () => {
+  const { X, y } = makeCategoricalData(300)
+  const model = await LGBModel.create({ ...catParams, categoricalFeatures: [0] })
+  model.fit(X, y)
+
+  const bundle = model.save()
+  const { manifest } = decodeBundle(bundle)
+  const cats = manifest.metadata.categories['0']
+  assert(cats.join(',') === 'blue,green,red,yellow', `unexpected categories: ${cats}`)
+
+  const loaded = await LGBModel.load(bundle)
+  const p1 = model.predictProba(X)
+  const p2 = loaded.predictProba(X)
+  for (let i = 0; i < p1.length; i++) {
+    assertClose(p1[i], p2[i], 1e-6, `proba[${i}]`)
+  }
+
+  model.dispose()
+  loaded.dispose()
+})
+
+await test('Unseen and missing categories predict alike', async () => {
+  const { X, y } = makeCategoricalData(300)
+  const model = await LGBModel.create({ ...catParams, categoricalFeatures: [0] })
+  model.fit(X, y)
+  const p = model.predictProba([['purple', 0.5], [null, 0.5], [undefined, 0.5]])
+  assertClose(p[1], p[3], 1e-12, 'unseen vs null')
+  assertClose(p[1], p[5], 1e-12, 'unseen vs undefined')
+  model.dispose()
+})
+
+await test('categoricalFeatures out of range throws', async () => {
+  const { X, y } = makeBinaryData(30)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5, categoricalFeatures: [5] })
+  let threw = false
+  try {
+    model.fit(X, y)
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('out of range'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+await test('categoricalFeatures name without featureNames throws', async () => {
+  const { X, y } = makeCategoricalData(30)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5, categoricalFeatures: ['color'] })
+  let threw = false
+  try {
+    model.fit(X, y)
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('featureNames'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+console.log('\n-- Ranking --')
+
+await test('Dataset setGroup', async () => {
+  const data = new Float32Array([1, 2, 3, 4, 5, 6])
+  const ds = new Dataset(data, 3, 2)
+  ds.setLabel(new Float32Array([0, 1, 2]))
+  ds.setGroup(new Int32Array([2, 1]))
+  ds.dispose()
+})
+
+await test('lambdarank fit + NDCG score', async () => {
+  const { X, y, group } = makeRankingData(30)
+  const model = await LGBModel.create({ objective: 'lambdarank', numRound: 30, num_leaves: 8, min_data_in_leaf: 5 })
+  model.fit(X, y, { group })
+
+  const caps = model.capabilities
+  assert(caps.ranker === true && caps.regressor === false, 'should be ranker')
+
+  const ndcg = model.score(X, y, { group, k: 5 })
+  assert(ndcg > 0.9 && ndcg <= 1, `NDCG@5 should be > 0.9, got ${ndcg}`)
+  model.dispose()
+})
+
+await test('rank_xendcg with validation groups + early stopping', async () => {
+  const train = makeRankingData(30, 10, 42)
+  const valid = makeRankingData(10, 10, 7)
+  const model = await LGBModel.create({ objective: 'rank_xendcg', numRound: 200, min_data_in_leaf: 5 })
+  model.fit(train.X, train.y, {
+    group: train.group,
+    evalSet: [{ X: valid.X, y: valid.y, group: valid.group }],
+    metric: 'ndcg',
+    earlyStoppingRounds: 10
+  })
+  assert(model.bestIteration > 0, 'bestIteration should be set')
+  model.dispose()
+})
+
+await test('Ranker save/load uses ranker typeId', async () => {
+  const { X, y, group } = makeRankingData(20)
+  const model = await LGBModel.create({ objective: 'lambdarank', numRound: 20, min_data_in_leaf: 5 })
+  model.fit(X, y, { group })
+
+  const bundle = model.save()
+  const { manifest } = decodeBundle(bundle)
+  assert(manifest.typeId === 'wlearn.lightgbm.ranker@1', `typeId should be ranker, got ${manifest.typeId}`)
+
+  const loaded = await LGBModel.load(bundle)
+  const p1 = model.predict(X)
+  const p2 = loaded.predict(X)
+  for (let i = 0; i < p1.length; i++) {
+    assertClose(p1[i], p2[i], 1e-6, `pred[${i}]`)
+  }
+  assertClose(model.score(X, y, { group }), loaded.score(X, y, { group }), 1e-12, 'ndcg')
+
+  model.dispose()
+  loaded.dispose()
+})
+
+await test('Ranker without group throws', async () => {
+  const { X, y } = makeRankingData(5)
+  const model = await LGBModel.create({ objective: 'lambdarank', numRound: 5 })
+  let threw = false
+  try {
+    model.fit(X, y)
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('group'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+await test('Group sizes must sum to rows', async () => {
+  const { X, y } = makeRankingData(5)
+  const model = await LGBModel.create({ objective: 'lambdarank', numRound: 5 })
+  let threw = false
+  try {
+    model.fit(X, y, { group: [10, 10] })
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('sum'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+console.log('\n-- Feature Importance --')
+
+await test('Booster featureImportance split and gain', async () => {
+  const { X, y } = makeRegressionData(200)
+  const rows = X.length, cols = X[0].length
+  const flat = new Float32Array(rows * cols)
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) flat[i * cols + j] = X[i][j]
+  }
+  const ds = new Dataset(flat, rows, cols, 'objective=regression verbosity=-1')
+  ds.setLabel(new Float32Array(y))
+  const booster = new Booster(ds.handle, 'objective=regression verbosity=-1 num_leaves=8')
+  for (let i = 0; i < 10; i++) booster.update()
+
+  assert(booster.getNumFeature() === 2, 'should have 2 features')
+  const split = booster.featureImportance()
+  const gain = booster.featureImportance({ type: 'gain' })
+  assert(split.length === 2 && gain.length === 2, 'importance length should match features')
+  assert(split[0] > 0 && split[1] > 0, 'both features should be used')
+  // y = 3*x1 + 2*x2: x1 carries more gain
+  assert(gain[0] > gain[1], `x1 gain should exceed x2 gain: ${gain}`)
+
+  const first = booster.featureImportance({ numIteration: 1 })
+  assert(first[0] + first[1] < split[0] + split[1], 'numIteration should limit counted splits')
+
+  ds.dispose()
+  booster.dispose()
+})
+
+await test('LGBModel featureImportances (positional)', async () => {
+  const { X, y } = makeRegressionData(200)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 20, importanceType: 'gain' })
+  model.fit(X, y)
+  const imp = model.featureImportances
+  assert(imp instanceof Float64Array && imp.length === 2, 'should be Float64Array of length 2')
+  assert(imp[0] > imp[1], 'x1 should matter more')
+  model.dispose()
+})
+
+await test('LGBModel featureImportances (named, after load)', async () => {
+  const { X, y } = makeRegressionData(200)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 20, featureNames: ['a', 'b'] })
+  model.fit(X, y)
+  const loaded = await LGBModel.load(model.save())
+
+  const imp = loaded.featureImportances
+  assert(Object.keys(imp).join(',') === 'a,b', `unexpected keys: ${Object.keys(imp)}`)
+  const orig = model.featureImportances
+  assert(imp.a === orig.a && imp.b === orig.b, 'loaded importances should match')
+
+  model.dispose()
+  loaded.dispose()
+})
+
+console.log('\n-- SHAP Contributions --')
+
+await test('predictContrib sums to the regression prediction', async () => {
+  const { X, y } = makeRegressionData(200)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 30 })
+  model.fit(X, y)
+
+  const contrib = model.predictContrib(X)
+  assert(contrib.length === X.length * 3, `expected ${X.length * 3} values, got ${contrib.length}`)
+
+  const preds = model.predict(X)
+  for (let i = 0; i < X.length; i++) {
+    const sum = contrib[i * 3] + contrib[i * 3 + 1] + contrib[i * 3 + 2]
+    assertClose(sum, preds[i], 1e-6, `row ${i} contrib sum`)
+  }
+  model.dispose()
+})
+
+await test('predictContrib on 150 features', async () => {
+  const rng = makeLCG(5)
+  const n = 100, f = 150
+  const data = new Float32Array(n * f)
+  const y = []
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < f; j++) data[i * f + j] = rng()
+    y.push(data[i * f] + data[i * f + 149] > 1 ? 1 : 0)
+  }
+  const model = await LGBModel.create({ objective: 'binary', numRound: 10, num_leaves: 4, min_data_in_leaf: 5 })
+  model.fit({ data, rows: n, cols: f }, y)
+
+  const contrib = model.predictContrib({ data, rows: n, cols: f })
+  assert(contrib.length === n * (f + 1), `expected ${n * (f + 1)} values, got ${contrib.length}`)
+
+  // Sum of contributions is the margin: sigmoid(sum) = P(class 1)
+  const proba = model.predictProba({ data, rows: n, cols: f })
+  for (let i = 0; i < n; i++) {
+    let sum = 0
+    for (let j = 0; j <= f; j++) sum += contrib[i * (f + 1) + j]
+    assertClose(1 / (1 + Math.exp(-sum)), proba[i * 2 + 1], 1e-6, `row ${i} margin`)
+  }
+  model.dispose()
+})
+
+await test('predictContrib multiclass shape', async () => {
+  const { X, y } = makeMulticlassData(150, 3)
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 10 })
+  model.fit(X, y)
+  const contrib = model.predictContrib(X)
+  // 3 classes * (3 features + bias)
+  assert(contrib.length === X.length * 3 * 4, `expected ${X.length * 12} values, got ${contrib.length}`)
+  model.dispose()
+})
+
+console.log('\n-- Leaf Indices --')
+
+await test('predictLeaf shape and range', async () => {
+  const { X, y } = makeBinaryData(200)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 12, num_leaves: 8 })
+  model.fit(X, y)
+
+  const leaves = model.predictLeaf(X)
+  assert(leaves instanceof Int32Array, 'should be Int32Array')
+  assert(leaves.length === X.length * 12, `expected ${X.length * 12} values, got ${leaves.length}`)
+  for (let i = 0; i < leaves.length; i++) {
+    assert(leaves[i] >= 0 && leaves[i] < 8, `leaf index out of range: ${leaves[i]}`)
+  }
+  model.dispose()
+})
+
+await test('predictLeaf iteration range', async () => {
+  const { X, y } = makeBinaryData(200)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 12, num_leaves: 8 })
+  model.fit(X, y)
+
+  const all = model.predictLeaf(X)
+  const slice = model.predictLeaf(X, { startIteration: 4, numIteration: 3 })
+  assert(slice.length === X.length * 3, `expected ${X.length * 3} values, got ${slice.length}`)
+  for (let i = 0; i < X.length; i++) {
+    for (let t = 0; t < 3; t++) {
+      assert(slice[i * 3 + t] === all[i * 12 + 4 + t], `row ${i} tree ${t} mismatch`)
+    }
+  }
+  model.dispose()
+})
+
+await test('predictLeaf multiclass has a tree per class', async () => {
+  const { X, y } = makeMulticlassData(150, 3)
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 5 })
+  model.fit(X, y)
+  const leaves = model.predictLeaf(X)
+  assert(leaves.length === X.length * 15, `expected ${X.length * 15} values, got ${leaves.length}`)
+  model.dispose()
+})
+
+console.log('\n-- Decision Function --')
+
+await test('Binary decisionFunction is the logit of predictProba', async () => {
+  const { X, y } = makeBinaryData(100)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 20, num_leaves: 8 })
+  model.fit(X, y)
+
+  const margins = model.decisionFunction(X)
+  assert(margins.length === X.length, `expected ${X.length} margins, got ${margins.length}`)
+  const proba = model.predictProba(X)
+  for (let i = 0; i < X.length; i++) {
+    assertClose(1 / (1 + Math.exp(-margins[i])), proba[i * 2 + 1], 1e-9, `row ${i}`)
+  }
+  model.dispose()
+})
+
+await test('Multiclass decisionFunction shape and softmax', async () => {
+  const { X, y } = makeMulticlassData(100, 3)
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 10 })
+  model.fit(X, y)
+
+  const margins = model.decisionFunction(X)
+  assert(margins.length === X.length * 3, `expected ${X.length * 3} margins, got ${margins.length}`)
+  const proba = model.predictProba(X)
+  for (let i = 0; i < X.length; i++) {
+    let z = 0
+    for (let c = 0; c < 3; c++) z += Math.exp(margins[i * 3 + c])
+    assertClose(Math.exp(margins[i * 3]) / z, proba[i * 3], 1e-9, `row ${i}`)
+  }
+  model.dispose()
+})
+
+await test('Binary predict with custom threshold', async () => {
+  const { X, y } = makeBinaryData(100)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 20, num_leaves: 8 })
+  model.fit(X, y)
+
+  const proba = model.predictProba(X)
+  const preds = model.predict(X, { threshold: 0.9 })
+  for (let i = 0; i < X.length; i++) {
+    assert(preds[i] === (proba[i * 2 + 1] > 0.9 ? 1 : 0), `row ${i} threshold mismatch`)
+  }
+  const strict = model.predict(X, { threshold: 1 })
+  assert(strict.every(v => v === 0), 'threshold 1 should predict class 0 everywhere')
+  const predictor = await LGBPredictor.load(model.save())
+  for (const bad of [NaN, -0.1, 1.5, Infinity, '0.5']) {
+    for (const m of [model, predictor]) {
+      let msg = ''
+      try { m.predict(X, { threshold: bad }) } catch (e) { msg = e.message }
+      assert(msg.includes('[0, 1]'), `threshold ${bad}: got '${msg}'`)
+    }
+  }
+  model.dispose()
+})
+
+await test('decisionFunction on regressor throws', async () => {
+  const { X, y } = makeRegressionData(50)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 5 })
+  model.fit(X, y)
+  let threw = false
+  try {
+    model.decisionFunction(X)
+  } catch (e) {
+    threw = true
+    assert(e.message.includes('classification'), `unexpected error: ${e.message}`)
+  }
+  assert(threw, 'should throw')
+  model.dispose()
+})
+
+console.log('\n-- JSON Dump --')
+
+await test('toJSON returns tree structure', async () => {
+  const { X, y } = makeBinaryData(100)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5, num_leaves: 4 })
+  assert(JSON.stringify(model) === 'null', 'unfitted model serializes to null')
+  model.fit(X, y)
+
+  const dump = model.toJSON()
+  assert(dump.objective.startsWith('binary'), `unexpected objective: ${dump.objective}`)
+  assert(dump.tree_info.length === 5, `expected 5 trees, got ${dump.tree_info.length}`)
+  assert(dump.max_feature_idx === 1, 'max_feature_idx should be 1')
+
+  const root = dump.tree_info[0].tree_structure
+  assert(typeof root.split_feature === 'number', 'root should be a split')
+  assert(typeof root.threshold === 'number', 'split should have a threshold')
+  assert(typeof root.default_left === 'boolean', 'split should have default_left')
+  assert(root.left_child && root.right_child, 'split should have children')
+
+  // JSON.stringify goes through toJSON
+  const parsed = JSON.parse(JSON.stringify(model))
+  assert(parsed.tree_info.length === 5, 'stringified model should contain the dump')
+  const range = model.dumpModel({ startIteration: 1, numIteration: 2 })
+  assert(range.tree_info.length === 2, `expected 2 trees, got ${range.tree_info.length}`)
+  model.dispose()
+})
+
+await test('dumpModel includes categorical splits', async () => {
+  const { X, y } = makeCategoricalData(300)
+  const model = await LGBModel.create({
+    objective: 'binary',
+    numRound: 5,
+    min_data_per_group: 5,
+    cat_smooth: 1,
+    max_cat_to_onehot: 1,
+    categoricalFeatures: [0]
+  })
+  model.fit(X, y)
+
+  const findCat = (node) => {
+    if (!node || node.leaf_value !== undefined) return null
+    if (node.decision_type === '==') return node
+    return findCat(node.left_child) || findCat(node.right_child)
+  }
+  const dump = model.dumpModel()
+  const catSplit = dump.tree_info.map(t => findCat(t.tree_structure)).find(Boolean)
+  assert(catSplit, 'should contain a categorical split')
+  assert(typeof catSplit.threshold === 'string', 'categorical threshold lists categories')
+  model.dispose()
+})
+
+await test('Booster dumpModel iteration range', async () => {
+  const { X, y } = makeRegressionData(100)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 10 })
+  model.fit(X, y)
+  const { toc, blobs } = decodeBundle(model.save())
+  const entry = toc.find(e => e.id === 'model')
+  const booster = Booster.loadModel(blobs.subarray(entry.offset, entry.offset + entry.length))
+  const dump = booster.dumpModel({ startIteration: 2, numIteration: 3 })
+  assert(dump.tree_info.length === 3, `expected 3 trees, got ${dump.tree_info.length}`)
+  booster.dispose()
+  model.dispose()
+})
+
+console.log('\n-- Pure-JS Predictor --')
+
+await test('LGBPredictor matches WASM binary predictions, with missing values', async () => {
+  const { X, y } = makeBinaryData(200)
+  for (let i = 0; i < X.length; i += 7) X[i][i % 2] = NaN
+  const model = await LGBModel.create({ objective: 'binary', numRound: 20, num_leaves: 8 })
+  model.fit(X, y)
+  const predictor = await LGBPredictor.load(model.save())
+
+  assertAllClose(predictor.predictProba(X), model.predictProba(X), 1e-12, 'proba')
+  assertAllClose(predictor.decisionFunction(X), model.decisionFunction(X), 1e-12, 'raw')
+  assertAllClose(predictor.predict(X), model.predict(X), 0, 'labels')
+  assertAllClose(predictor.predict(X, { threshold: 0.8 }), model.predict(X, { threshold: 0.8 }), 0, 'threshold')
+  model.dispose()
+})
+
+await test('LGBPredictor matches WASM multiclass and regression', async () => {
+  const mc = makeMulticlassData(300)
+  const cls = await LGBModel.create({ objective: 'multiclass', numRound: 10 })
+  cls.fit(mc.X, mc.y)
+  const p1 = await LGBPredictor.load(cls.save())
+  assertAllClose(p1.predictProba(mc.X), cls.predictProba(mc.X), 1e-12, 'softmax')
+  assertAllClose(p1.predict(mc.X), cls.predict(mc.X), 0, 'labels')
+  assert(p1.nrClass === 3, 'nrClass should come from the bundle')
+  cls.dispose()
+
+  const reg = makeRegressionData(200)
+  for (const objective of ['regression', 'poisson']) {
+    const y = objective === 'poisson' ? reg.y.map(v => Math.abs(v)) : reg.y
+    const model = await LGBModel.create({ objective, numRound: 15 })
+    model.fit(reg.X, y)
+    const predictor = await LGBPredictor.load(model.save())
+    assertAllClose(predictor.predict(reg.X), model.predict(reg.X), 1e-9, objective)
+    model.dispose()
+  }
+})
+
+await test('LGBPredictor handles categorical splits and sparse input', async () => {
+  const { X, y } = makeCategoricalData(300)
+  X[3][0] = 'purple'
+  X[5][0] = null
+  const model = await LGBModel.create({
+    objective: 'binary',
+    numRound: 10,
+    min_data_per_group: 5,
+    cat_smooth: 1,
+    categoricalFeatures: [0]
+  })
+  model.fit(X.slice(6), y.slice(6))
+  const predictor = await LGBPredictor.load(model.save())
+  assertAllClose(predictor.predictProba(X), model.predictProba(X), 1e-12, 'categorical')
+  model.dispose()
+
+  const sp = makeSparseData(200)
+  const sparse = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  sparse.fit(toCSR(sp.X), sp.y)
+  const p2 = await LGBPredictor.load(sparse.save())
+  const expected = sparse.predictProba(sp.X)
+  assertAllClose(p2.predictProba(toCSR(sp.X)), expected, 1e-12, 'csr')
+  assertAllClose(p2.predictProba(toCSC(sp.X)), expected, 1e-12, 'csc')
+  sparse.dispose()
+})
+
+await test('LGBPredictor uses the early-stopped iteration count', async () => {
+  const train = makeBinaryData(300, 1)
+  const valid = makeBinaryData(100, 2)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 200, learning_rate: 0.3 })
+  model.fit(train.X, train.y, { evalSet: [valid], earlyStoppingRounds: 5 })
+  const predictor = await LGBPredictor.load(model.save())
+  assert(predictor.bestIteration === model.bestIteration, 'bestIteration should round-trip')
+  assertAllClose(predictor.predictProba(valid.X), model.predictProba(valid.X), 1e-12, 'proba')
+  model.dispose()
+})
+
+await test('LGBPredictor rejects wrong feature count', async () => {
+  const { X, y } = makeBinaryData(100)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 3 })
+  model.fit(X, y)
+  const predictor = await LGBPredictor.load(model.save())
+  model.dispose()
+  let threw = false
+  try { predictor.predict([[1, 2, 3]]) } catch (e) {
+    threw = /number of features/.test(e.message)
+  }
+  assert(threw, 'should throw on feature count mismatch')
+})
+
+console.log('\n-- Custom Objective --')
+
+await test('custom L2 objective matches built-in regression', async () => {
+  const { X, y } = makeRegressionData(200)
+  const l2 = (preds, dataset) => {
+    const labels = dataset.getLabel()
+    const grad = new Float64Array(preds.length)
+    const hess = new Float64Array(preds.length).fill(1)
+    for (let i = 0; i < preds.length; i++) grad[i] = preds[i] - labels[i]
+    return { grad, hess }
+  }
+  const custom = await LGBModel.create({ objective: l2, numRound: 10, boost_from_average: false })
+  custom.fit(X, y)
+  const builtin = await LGBModel.create({ objective: 'regression', numRound: 10, boost_from_average: false })
+  builtin.fit(X, y)
+
+  const a = custom.predict(X)
+  const b = builtin.predict(X)
+  for (let i = 0; i < a.length; i++) assertClose(a[i], b[i], 1e-4, `row ${i}`)
+  assert(custom.capabilities.regressor, 'custom objective model is a regressor')
+  custom.dispose()
+  builtin.dispose()
+})
+
+await test('custom binary logloss returns raw margins', async () => {
+  const { X, y } = makeBinaryData(200)
+  let calls = 0
+  const logloss = (preds, dataset) => {
+    calls++
+    assert(preds.length === dataset.getNumData(), 'one score per training row')
+    const grad = new Float64Array(preds.length)
+    const hess = new Float64Array(preds.length)
+    for (let i = 0; i < preds.length; i++) {
+      const p = 1 / (1 + Math.exp(-preds[i]))
+      grad[i] = p - y[i]
+      hess[i] = p * (1 - p)
+    }
+    return { grad, hess }
+  }
+  const model = await LGBModel.create({ objective: logloss, numRound: 20 })
+  model.fit(X, y)
+  assert(calls === 20, `objective should run once per round, ran ${calls} times`)
+
+  const margins = model.predict(X)
+  let correct = 0
+  for (let i = 0; i < y.length; i++) if ((margins[i] > 0 ? 1 : 0) === y[i]) correct++
+  assert(correct / y.length > 0.9, `accuracy too low: ${correct / y.length}`)
+
+  // The function is dropped from the bundle; the loaded model keeps raw output
+  const loaded = await LGBModel.load(model.save())
+  assert(loaded.getParams().objective === undefined, 'objective function should not be saved')
+  const again = loaded.predict(X)
+  for (let i = 0; i < 5; i++) assertClose(again[i], margins[i], 1e-12, `row ${i}`)
+  model.dispose()
+  loaded.dispose()
+})
+
+await test('custom multiclass objective uses row-major scores', async () => {
+  const { X, y } = makeMulticlassData(300)
+  const softmax = (preds) => {
+    const k = 3
+    const grad = new Float64Array(preds.length)
+    const hess = new Float64Array(preds.length)
+    for (let i = 0; i < preds.length / k; i++) {
+      const row = preds.subarray(i * k, i * k + k)
+      const max = Math.max(...row)
+      const e = Array.from(row, v => Math.exp(v - max))
+      const sum = e.reduce((a, b) => a + b, 0)
+      for (let c = 0; c < k; c++) {
+        const p = e[c] / sum
+        grad[i * k + c] = p - (y[i] === c ? 1 : 0)
+        hess[i * k + c] = 2 * p * (1 - p)
+      }
+    }
+    return { grad, hess }
+  }
+  const model = await LGBModel.create({ objective: softmax, num_class: 3, numRound: 20 })
+  model.fit(X, y)
+
+  const raw = model.predict(X)
+  assert(raw.length === X.length * 3, `expected ${X.length * 3} scores, got ${raw.length}`)
+  let correct = 0
+  for (let i = 0; i < y.length; i++) {
+    const row = Array.from(raw.subarray(i * 3, i * 3 + 3))
+    if (row.indexOf(Math.max(...row)) === y[i]) correct++
+  }
+  assert(correct / y.length > 0.8, `accuracy too low: ${correct / y.length}`)
+  model.dispose()
+})
+
+await test('Booster.updateCustom validates gradient length', async () => {
+  const { X, y } = makeRegressionData(50)
+  const ds = new Dataset(new Float32Array(X.flat()), 50, 2, 'verbosity=-1')
+  ds.setLabel(y)
+  const booster = new Booster(ds.handle, 'objective=custom verbosity=-1')
+  assert(booster.getPredict(0).length === 50, 'one raw score per row')
+  let threw = false
+  try { booster.updateCustom(new Float32Array(10), new Float32Array(10)) } catch (e) {
+    threw = /expects 50/.test(e.message)
+  }
+  assert(threw, 'should reject wrong-length gradients')
+  booster.dispose()
+  ds.dispose()
+})
+
+console.log('\n-- Custom Eval Metrics --')
+
+function accuracyMetric(preds, labels) {
+  let correct = 0
+  for (let i = 0; i < labels.length; i++) if ((preds[i] > 0.5 ? 1 : 0) === labels[i]) correct++
+  return { name: 'accuracy', value: correct / labels.length, higherIsBetter: true }
+}
+
+await test('evalMetric is evaluated on training and validation data each round', async () => {
+  const train = makeBinaryData(200, 42)
+  const valid = makeBinaryData(100, 7)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 12, num_leaves: 4 })
+  let sawWeights = false
+  const weighted = (preds, labels, weights) => {
+    if (weights) sawWeights = true
+    return { name: 'rows', value: preds.length }
+  }
+  model.fit(train.X, train.y, {
+    sampleWeight: new Float32Array(200).fill(1),
+    evalSet: [{ X: valid.X, y: valid.y, name: 'holdout' }],
+    metric: 'binary_logloss',
+    evalMetric: [accuracyMetric, weighted]
+  })
+
+  const hist = model.evalsResult
+  assert(hist.training.accuracy.length === 12, 'training accuracy per round')
+  assert(hist.training.rows[0] === 200, 'training preds have one score per row')
+  assert(hist.holdout.rows[0] === 100, 'validation preds have one score per row')
+  assert(hist.holdout.binary_logloss.length === 12, 'built-in metric per round')
+  assert(!hist.training.binary_logloss, 'training built-ins need is_provide_training_metric')
+  assert(sawWeights, 'weights should be passed when set')
+
+  // Preds are probabilities, so the last value matches the model's accuracy
+  const proba = model.predictProba(valid.X)
+  let correct = 0
+  for (let i = 0; i < valid.y.length; i++) if ((proba[i * 2 + 1] > 0.5 ? 1 : 0) === valid.y[i]) correct++
+  assertClose(hist.holdout.accuracy[11], correct / valid.y.length, 1e-12, 'final accuracy')
+  model.dispose()
+})
+
+await test('earlyStoppingMetric selects a custom metric', async () => {
+  const train = makeBinaryData(300, 1)
+  const valid = makeBinaryData(100, 2)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 200, learning_rate: 0.3 })
+  model.fit(train.X, train.y, {
+    evalSet: [{ X: valid.X, y: valid.y }],
+    evalMetric: accuracyMetric,
+    earlyStoppingMetric: 'accuracy',
+    earlyStoppingRounds: 5
+  })
+
+  const acc = model.evalsResult.valid_0.accuracy
+  assert(acc.length < 200, 'should stop early')
+  assert(acc.length === model.bestIteration + 5, 'stops 5 rounds after the best one')
+  assert(acc[model.bestIteration - 1] === Math.max(...acc), 'bestIteration has the highest accuracy')
+  assert(acc.indexOf(Math.max(...acc)) === model.bestIteration - 1, 'first maximum wins')
+  model.dispose()
+})
+
+await test('evalSet names must be unique and not training', async () => {
+  const train = makeBinaryData(200, 1)
+  const valid = makeBinaryData(100, 2)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  const errorOf = (evalSet) => {
+    try { model.fit(train.X, train.y, { evalSet }) } catch (e) { return e.message }
+    return ''
+  }
+  const set = { X: valid.X, y: valid.y }
+  let msg = errorOf([{ ...set, name: 'training' }])
+  assert(msg.includes("'training'"), `reserved name: '${msg}'`)
+  msg = errorOf([{ ...set, name: 'valid' }, { ...set, name: 'valid' }])
+  assert(msg.includes("name 'valid' is already used"), `duplicate: '${msg}'`)
+  msg = errorOf([{ ...set, name: 'valid_1' }, set])
+  assert(msg.includes("name 'valid_1' is already used"), `default name clash: '${msg}'`)
+  model.dispose()
+})
+
+await test('earlyStoppingData selects the monitored evalSet', async () => {
+  const train = makeBinaryData(300, 1)
+  const valid = makeBinaryData(100, 2)
+  const evalSet = [{ X: valid.X, y: valid.y, name: 'holdout' }, { X: train.X, y: train.y, name: 'seen' }]
+  const opts = { evalSet, earlyStoppingRounds: 5, metric: 'binary_logloss' }
+  const model = await LGBModel.create({ objective: 'binary', numRound: 200, learning_rate: 0.3 })
+
+  for (const name of ['holdout', 'seen']) {
+    model.fit(train.X, train.y, { ...opts, earlyStoppingData: name })
+    const loss = model.evalsResult[name].binary_logloss
+    assert(loss.indexOf(Math.min(...loss)) === model.bestIteration - 1, `${name}: best round by its own loss`)
+    assert(loss.length === Math.min(model.bestIteration + 5, 200), `${name}: stops 5 rounds after the best`)
+  }
+  // The default is the first evalSet
+  model.fit(train.X, train.y, opts)
+  const holdout = model.evalsResult.holdout.binary_logloss
+  assert(holdout.indexOf(Math.min(...holdout)) === model.bestIteration - 1, 'first evalSet monitored')
+
+  let msg = ''
+  try { model.fit(train.X, train.y, { ...opts, earlyStoppingData: 'training' }) } catch (e) { msg = e.message }
+  assert(msg.includes("earlyStoppingData 'training'"), `unknown set: '${msg}'`)
+  model.dispose()
+})
+
+await test('unknown earlyStoppingMetric throws', async () => {
+  const train = makeBinaryData(100, 1)
+  const valid = makeBinaryData(50, 2)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 20 })
+  let threw = false
+  try {
+    model.fit(train.X, train.y, {
+      evalSet: [valid],
+      earlyStoppingMetric: 'profit',
+      earlyStoppingRounds: 3
+    })
+  } catch (e) {
+    threw = e.message.includes("'profit'")
+  }
+  assert(threw, 'should name the missing metric')
+  assert(!model.isFitted, 'model should not be fitted')
+  model.dispose()
+})
+
+console.log('\n-- Callbacks / Eval History --')
+
+await test('onIterationEnd sees every round with its evals', async () => {
+  const train = makeBinaryData(200, 42)
+  const valid = makeBinaryData(100, 7)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 8 })
+  const seen = []
+  model.fit(train.X, train.y, {
+    evalSet: [{ X: valid.X, y: valid.y }],
+    metric: 'auc',
+    callbacks: [{ onIterationEnd: ({ iteration, evals }) => { seen.push({ iteration, evals }) } }]
+  })
+
+  assert(seen.length === 8, `expected 8 calls, got ${seen.length}`)
+  assert(seen[0].iteration === 1 && seen[7].iteration === 8, 'iterations are 1-based')
+  const auc = seen[3].evals.find(e => e.data === 'valid_0' && e.name === 'auc')
+  assert(auc && auc.higherIsBetter, 'evals should include the validation auc')
+  assert(auc.value === model.evalsResult.valid_0.auc[3], 'callback value matches history')
+  model.dispose()
+})
+
+await test('returning false from a callback stops training', async () => {
+  const { X, y } = makeRegressionData(200)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 100 })
+  let calls = 0
+  model.fit(X, y, {
+    callbacks: [
+      { onIterationEnd: ({ iteration }) => iteration < 7 },
+      { onIterationEnd: () => { calls++ } }
+    ]
+  })
+  assert(calls === 7, 'every callback runs on the stopping round')
+  assert(model.dumpModel().tree_info.length === 7, 'model should have 7 trees')
+  model.dispose()
+})
+
+await test('evalsResult survives save/load', async () => {
+  const train = makeBinaryData(200, 42)
+  const valid = makeBinaryData(100, 7)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 10, is_provide_training_metric: true })
+  model.fit(train.X, train.y, { evalSet: [{ X: valid.X, y: valid.y, name: 'valid' }] })
+
+  const hist = model.evalsResult
+  assert(hist.training.binary_logloss.length === 10, 'training metric recorded')
+  assert(hist.valid.binary_logloss.length === 10, 'validation metric recorded')
+  const losses = hist.valid.binary_logloss
+  assert(losses[9] < losses[0], 'validation loss should decrease')
+
+  const loaded = await LGBModel.load(model.save())
+  assert(JSON.stringify(loaded.evalsResult) === JSON.stringify(hist), 'history should round-trip')
+  model.dispose()
+  loaded.dispose()
+})
+
+console.log('\n-- Worker Training --')
+
+await test('createInWorker trains off-thread with progress events', async () => {
+  const train = makeBinaryData(200, 42)
+  const valid = makeBinaryData(100, 7)
+  const params = { objective: 'binary', numRound: 15, num_leaves: 8 }
+  const remote = await LGBModel.createInWorker(params)
+  try {
+    assert(!remote.isFitted, 'not fitted before fitAsync')
+    const progress = []
+    await remote.fitAsync(train.X, train.y, {
+      evalSet: [{ X: valid.X, y: valid.y }],
+      onProgress: ({ iteration, evals }) => progress.push({ iteration, evals })
+    })
+    assert(remote.isFitted, 'fitted after fitAsync')
+    assert(progress.length === 15, `expected 15 progress events, got ${progress.length}`)
+    assert(progress[14].iteration === 15, 'last event is the last round')
+    assert(progress[0].evals.some(e => e.data === 'valid_0'), 'events carry validation metrics')
+    assert(remote.evalsResult.valid_0.binary_logloss.length === 15, 'history snapshot')
+    assert(remote.capabilities.predictProba, 'capabilities snapshot')
+
+    // Same training on the main thread gives the same model
+    const local = await LGBModel.create(params)
+    local.fit(train.X, train.y, { evalSet: [{ X: valid.X, y: valid.y }] })
+    const p1 = await remote.predictProba(valid.X)
+    const p2 = local.predictProba(valid.X)
+    for (let i = 0; i < p1.length; i++) assertClose(p1[i], p2[i], 1e-12, `proba[${i}]`)
+
+    // Saved bytes load on the main thread
+    const loaded = await LGBModel.load(await remote.save())
+    const labels = loaded.predict(valid.X)
+    const remoteLabels = await remote.predict(valid.X)
+    for (let i = 0; i < labels.length; i++) assert(labels[i] === remoteLabels[i], `label[${i}]`)
+    local.dispose()
+    loaded.dispose()
+  } finally {
+    await remote.dispose()
+  }
+})
+
+await test('worker errors reject the pending call', async () => {
+  const remote = await LGBModel.createInWorker({ objective: 'regression' })
+  try {
+    let err = null
+    try { await remote.predict([[1, 2]]) } catch (e) { err = e }
+    assert(err && err.message.includes('not fitted'), `expected a not-fitted error, got ${err && err.message}`)
+
+    let threw = false
+    try {
+      await remote.fitAsync([[1]], [1], { evalMetric: () => ({ name: 'x', value: 0 }) })
+    } catch (e) {
+      threw = e.message.includes('onProgress')
+    }
+    assert(threw, 'functions cannot be sent to the worker')
+  } finally {
+    await remote.dispose()
+  }
+  let rejected = false
+  try { await remote.predict([[1, 2]]) } catch { rejected = true }
+  assert(rejected, 'calls after dispose should reject')
+})
+
+await test('an idle worker model does not keep the process alive', async () => {
+  const { spawnSync } = require('node:child_process')
+  // Trains in a worker and exits without dispose()
+  const script = `
+    const { LGBModel } = require(${JSON.stringify(require.resolve('../src/index.js'))})
+    LGBModel.createInWorker({ objective: 'regression', numRound: 3 })
+      .then(m => m.fitAsync([[1], [2], [3], [4]], [1, 2, 3, 4]))
+      .then(m => console.log('fitted', m.isFitted))
+  `
+  const run = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 60000 })
+  assert(run.error === undefined, `child did not exit: ${run.error && run.error.message}`)
+  assert(run.status === 0 && run.stdout.includes('fitted true'), `child: ${run.status} ${run.stderr}`)
+})
+
+console.log('\n-- Cross-Validation --')
+
+await test('cv returns per-round mean/std for each metric', async () => {
+  const { X, y } = makeBinaryData(300)
+  // Labels 3/7 are remapped to class indices before stratification
+  const labels = y.map(v => (v ? 7 : 3))
+  const { bestIteration, results } = await cv(
+    { objective: 'binary', numRound: 20, num_leaves: 8 }, X, labels,
+    { nfold: 3, metrics: ['binary_logloss', 'auc'] }
+  )
+  assert(results.binary_logloss.mean.length === 20, 'one mean per round')
+  assert(results.auc.std.length === 20, 'one std per round')
+  assert(results.auc.std.every(v => v >= 0), 'std is non-negative')
+  assert(results.auc.mean[19] > 0.9, `auc too low: ${results.auc.mean[19]}`)
+  const losses = results.binary_logloss.mean
+  assert(bestIteration === losses.indexOf(Math.min(...losses)) + 1, 'bestIteration follows the first metric')
+})
+
+await test('cv is reproducible and early-stops', async () => {
+  const { X, y } = makeRegressionData(200)
+  const opts = { nfold: 4, seed: 7, earlyStoppingRounds: 3 }
+  const params = { objective: 'regression', numRound: 300, learning_rate: 0.5 }
+  const a = await cv(params, X, y, opts)
+  const b = await cv(params, X, y, opts)
+  assert(a.bestIteration < 300, 'should stop early')
+  assert(a.results.l2.mean.length === a.bestIteration, 'mean cut at the best round')
+  assert(a.results.l2.std.length === a.bestIteration, 'std cut at the best round')
+  assert(a.results.l2.mean[a.bestIteration - 1] === Math.min(...a.results.l2.mean), 'best round has the lowest mean')
+  assert(JSON.stringify(a) === JSON.stringify(b), 'same seed gives the same result')
+
+  const c = await cv(params, X, y, { ...opts, seed: 8 })
+  assert(JSON.stringify(a) !== JSON.stringify(c), 'another seed changes the folds')
+})
+
+await test('cv keeps ranking queries whole', async () => {
+  const { X, y, group } = makeRankingData(20, 8)
+  const { results } = await cv(
+    { objective: 'lambdarank', numRound: 10, min_data_in_leaf: 5 }, X, y,
+    { nfold: 4, group, metrics: 'ndcg' }
+  )
+  assert(results['ndcg@1'] && results['ndcg@1'].mean.length === 10, 'ndcg@1 per round')
+})
+
+await test('cv rejects bad fold settings', async () => {
+  const { X, y } = makeRegressionData(50)
+  const expectThrow = async (opts, text) => {
+    let msg = ''
+    try { await cv({ objective: 'regression', numRound: 2 }, X, y, opts) } catch (e) { msg = e.message }
+    assert(msg.includes(text), `expected '${text}', got '${msg}'`)
+  }
+  await expectThrow({ nfold: 1 }, 'nfold')
+  await expectThrow({ stratified: true }, 'classification')
+})
+
+console.log('\n-- Warm Start --')
+
+await test('continueTraining boosts on top of the existing trees', async () => {
+  const { X, y } = makeRegressionData(200)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 10, num_leaves: 8 })
+  model.fit(X, y)
+  const before = model.score(X, y)
+
+  model.continueTraining(X, y, 15)
+  assert(model.dumpModel().tree_info.length === 25, 'initial 10 trees plus 15 new ones')
+  assert(model.score(X, y) > before, 'more rounds should fit the training data better')
+
+  const restored = await LGBModel.load(model.save())
+  assertAllClose(restored.predict(X), model.predict(X), 1e-10, 'warm-started model round-trips')
+  restored.dispose()
+  model.dispose()
+})
+
+await test('initModel keeps the class mapping when new labels miss a class', async () => {
+  const { X, y } = makeMulticlassData(300)
+  const base = await LGBModel.create({ objective: 'multiclass', numRound: 5, num_leaves: 8 })
+  base.fit(X, y)
+
+  const X2 = [], y2 = []
+  for (let i = 0; i < X.length; i++) {
+    if (y[i] !== 2) { X2.push(X[i]); y2.push(y[i]) }
+  }
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 5, num_leaves: 8 })
+  model.fit(X2, y2, { initModel: base.save() })
+  assert(model.nrClass === 3, `nrClass should stay 3, got ${model.nrClass}`)
+  assert(model.classes.join(',') === '0,1,2', 'classes come from the initModel')
+  assert(model.predictProba(X).length === X.length * 3, 'three probabilities per row')
+  assert(model.dumpModel().tree_info.length === 30, '3 trees per iteration over 10 iterations')
+
+  base.dispose()
+  model.dispose()
+})
+
+await test('initModel offsets bestIteration by its iterations', async () => {
+  const train = makeRegressionData(200, 1)
+  const valid = makeRegressionData(100, 2)
+  const base = await LGBModel.create({ objective: 'regression', numRound: 10, learning_rate: 0.05 })
+  base.fit(train.X, train.y)
+
+  const model = await LGBModel.create({ objective: 'regression', numRound: 100, learning_rate: 0.05 })
+  model.fit(train.X, train.y, {
+    initModel: base, evalSet: [{ X: valid.X, y: valid.y }], earlyStoppingRounds: 5
+  })
+  const rounds = model.evalsResult.valid_0.l2.length
+  assert(model.bestIteration > 10 && model.bestIteration <= 10 + rounds,
+    `bestIteration ${model.bestIteration} should count the initModel's 10 iterations`)
+  // The first new round already starts from the initModel's scores
+  const baseL2 = base.predict(valid.X).reduce((s, p, i) => s + (p - valid.y[i]) ** 2, 0) / valid.y.length
+  assert(model.evalsResult.valid_0.l2[0] < baseL2, 'validation l2 continues from the initModel')
+
+  base.dispose()
+  model.dispose()
+})
+
+await test('initModel must match objective, labels and columns', async () => {
+  const { X, y } = makeBinaryData(100)
+  const base = await LGBModel.create({ objective: 'binary', numRound: 3 })
+  base.fit(X, y)
+
+  const expectThrow = async (params, X2, y2, text) => {
+    const model = await LGBModel.create({ numRound: 3, ...params })
+    let msg = ''
+    try { model.fit(X2, y2, { initModel: base }) } catch (e) { msg = e.message }
+    assert(msg.includes(text), `expected '${text}', got '${msg}'`)
+    model.dispose()
+  }
+  await expectThrow({ objective: 'regression' }, X, y, 'objective')
+  await expectThrow({ objective: 'binary' }, X, y.map(v => v + 1), 'initModel classes')
+  await expectThrow({ objective: 'binary' }, X.map(r => [...r, 0]), y, 'columns')
+
+  base.dispose()
+})
+
+console.log('\n-- Leaf Refit --')
+
+// [split_feature, threshold] of every internal node, in preorder
+function treeSplits(dump) {
+  const out = []
+  const walk = (node) => {
+    if (node.leaf_value !== undefined) return
+    out.push([node.split_feature, node.threshold])
+    walk(node.left_child)
+    walk(node.right_child)
+  }
+  for (const t of dump.tree_info) walk(t.tree_structure)
+  return JSON.stringify(out)
+}
+
+await test('refit keeps the trees and re-estimates leaf values', async () => {
+  const { X, y } = makeRegressionData(300, 1)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 10, num_leaves: 8 })
+  model.fit(X, y)
+
+  // Shifted targets: the refitted leaves should follow them
+  const fresh = makeRegressionData(300, 2)
+  const yShift = fresh.y.map(v => v + 5)
+  const refitted = model.refit(fresh.X, yShift, { decayRate: 0 })
+  assert(refitted !== model && model.isFitted, 'returns a new model, original untouched')
+  assert(treeSplits(refitted.dumpModel()) === treeSplits(model.dumpModel()), 'same splits')
+  assert(refitted.score(fresh.X, yShift) > model.score(fresh.X, yShift), 'fits the new targets better')
+
+  const kept = model.refit(fresh.X, yShift, { decayRate: 1 })
+  assertAllClose(kept.predict(X), model.predict(X), 1e-9, 'decayRate 1 keeps the old leaves')
+
+  const restored = await LGBModel.load(refitted.save())
+  assertAllClose(restored.predict(X), refitted.predict(X), 1e-10, 'refitted model round-trips')
+  assert(treeSplits(restored.dumpModel()) === treeSplits(model.dumpModel()), 'loaded structure matches')
+
+  for (const m of [model, refitted, kept, restored]) m.dispose()
+})
+
+await test('refit keeps the class mapping and validates decayRate', async () => {
+  const { X, y } = makeMulticlassData(300)
+  const labels = y.map(v => v * 10)
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 5, num_leaves: 8 })
+  model.fit(X, labels)
+
+  const refitted = model.refit(X.slice(0, 150), labels.slice(0, 150))
+  assert(refitted.classes.join(',') === '0,10,20', 'classes come from the original model')
+  assert(refitted.predictProba(X).length === X.length * 3, 'three probabilities per row')
+
+  let msg = ''
+  try { model.refit(X, labels, { decayRate: 1.5 }) } catch (e) { msg = e.message }
+  assert(msg.includes('decayRate'), `expected decayRate error, got '${msg}'`)
+
+  refitted.dispose()
+  model.dispose()
+})
+
+console.log('\n-- Slicing Iterations --')
+
+await test('slice keeps a range of iterations', async () => {
+  const { X, y } = makeMulticlassData(200)
+  const model = await LGBModel.create({ objective: 'multiclass', numRound: 12, num_leaves: 8 })
+  model.fit(X, y)
+
+  const head = model.slice(0, 5)
+  assert(head.dumpModel().tree_info.length === 15, '5 iterations of 3 trees')
+  assert(head.classes.join(',') === '0,1,2', 'classes are kept')
+  assert(head.predictProba(X).length === X.length * 3, 'three probabilities per row')
+  const restored = await LGBModel.load(head.save())
+  assertAllClose(restored.predictProba(X), head.predictProba(X), 1e-10, 'slice round-trips')
+
+  const tail = model.slice(5)
+  assert(tail.dumpModel().tree_info.length === 21, 'iterations 5..11')
+
+  for (const [a, b] of [[-1, 3], [3, 3], [0, 13], [1.5, 4]]) {
+    let msg = ''
+    try { model.slice(a, b) } catch (e) { msg = e.message }
+    assert(msg.includes('slice('), `slice(${a}, ${b}) should throw, got '${msg}'`)
+  }
+
+  for (const m of [model, head, restored, tail]) m.dispose()
+})
+
+await test('save numIteration writes a smaller bundle', async () => {
+  const { X, y } = makeRegressionData(200)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 20, num_leaves: 8 })
+  model.fit(X, y)
+
+  const full = model.save()
+  const small = model.save({ numIteration: 5 })
+  assert(small.length < full.length, 'fewer trees, fewer bytes')
+  const loaded = await LGBModel.load(small)
+  assert(loaded.dumpModel().tree_info.length === 5, 'only 5 trees saved')
+  const head = model.slice(0, 5)
+  assertAllClose(loaded.predict(X), head.predict(X), 1e-10, 'same as the first 5 iterations')
+
+  let msg = ''
+  try { model.save({ numIteration: 0 }) } catch (e) { msg = e.message }
+  assert(msg.includes('numIteration'), `expected numIteration error, got '${msg}'`)
+
+  for (const m of [model, loaded, head]) m.dispose()
+})
+
+console.log('\n-- Iteration Ranges --')
+
+await test('prediction methods accept startIteration / numIteration', async () => {
+  const { X, y } = makeBinaryData(200)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 20, num_leaves: 8 })
+  model.fit(X, y)
+
+  const head = model.slice(0, 5)
+  assertAllClose(model.predictProba(X, { numIteration: 5 }), head.predictProba(X), 1e-12, 'first 5 rounds')
+  assertAllClose(model.predict(X, { numIteration: 5 }), head.predict(X), 0, 'labels from 5 rounds')
+  assert(model.score(X, y, { numIteration: 5 }) === head.score(X, y), 'score over 5 rounds')
+
+  // Raw margins add up over consecutive ranges
+  const first = model.decisionFunction(X, { numIteration: 5 })
+  const rest = model.decisionFunction(X, { startIteration: 5 })
+  const all = model.decisionFunction(X)
+  assertAllClose(first.map((v, i) => v + rest[i]), all, 1e-9, 'staged margins')
+
+  const contrib = model.predictContrib(X, { startIteration: 5, numIteration: 10 })
+  const cols = X[0].length + 1
+  for (let i = 0; i < 10; i++) {
+    let sum = 0
+    for (let j = 0; j < cols; j++) sum += contrib[i * cols + j]
+    const margin = model.decisionFunction([X[i]], { startIteration: 5, numIteration: 10 })[0]
+    assertClose(sum, margin, 1e-6, `contributions of row ${i}`)
+  }
+
+  let msg = ''
+  try { model.predict(X, { startIteration: -1 }) } catch (e) { msg = e.message }
+  assert(msg.includes('startIteration'), `expected startIteration error, got '${msg}'`)
+
+  head.dispose()
+  model.dispose()
+})
+
+await test('bestIteration is the default range, numIteration 0 uses every round', async () => {
+  const train = makeRegressionData(200, 1)
+  const valid = makeRegressionData(100, 2)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 300, learning_rate: 0.5 })
+  model.fit(train.X, train.y, { evalSet: [{ X: valid.X, y: valid.y }], earlyStoppingRounds: 3 })
+  const best = model.bestIteration
+  assert(best > 0, 'early stopping should record a best iteration')
+
+  const preds = model.predict(valid.X)
+  assertAllClose(preds, model.predict(valid.X, { numIteration: best }), 0, 'default is bestIteration')
+  const all = model.predict(valid.X, { numIteration: 0 })
+  assert(all.some((v, i) => v !== preds[i]), 'numIteration 0 includes the rounds after bestIteration')
+
+  model.dispose()
+})
+
+console.log('\n-- Float64 Input --')
+
+// Epoch-millisecond timestamps one apart: all the same value in float32
+function makeTimestampData(n) {
+  const data = new Float64Array(n)
+  const y = new Int32Array(n)
+  for (let i = 0; i < n; i++) {
+    data[i] = 1.7e12 + i
+    y[i] = i >= n / 2 ? 1 : 0
+  }
+  return { X: { data, rows: n, cols: 1 }, y }
+}
+
+await test('LGBModel keeps Float64Array input at full precision', async () => {
+  const { X, y } = makeTimestampData(200)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  model.fit(X, y)
+  assert(model.score(X, y) === 1, `expected a perfect split, got accuracy ${model.score(X, y)}`)
+
+  // Narrowed to float32 the rows are indistinguishable
+  const narrowed = model.predictProba({ ...X, data: new Float32Array(X.data) })
+  assert(narrowed.every(p => p === narrowed[0]), 'float32 rows should collapse to one prediction')
+
+  // The pure-JS predictor sees the same doubles
+  const predictor = await LGBPredictor.load(model.save())
+  assertAllClose(predictor.predictProba(X), model.predictProba(X), 1e-9, 'LGBPredictor')
+  model.dispose()
+})
+
+await test('Dataset and Booster.predict take Float64Array', async () => {
+  const { X, y } = makeTimestampData(200)
+  const params = 'objective=binary verbosity=-1'
+  const ds = new Dataset(X.data, X.rows, X.cols, params)
+  ds.setLabel(Float32Array.from(y))
+  const booster = new Booster(ds, params)
+  for (let i = 0; i < 10; i++) booster.update()
+
+  const preds = booster.predict(X.data, X.rows, X.cols)
+  for (let i = 0; i < X.rows; i++) {
+    assert((preds[i] > 0.5) === (y[i] === 1), `row ${i}: ${preds[i]}`)
+  }
+  booster.dispose()
+  ds.dispose()
+})
+
+await test('sparse values and streamed chunks keep Float64Array precision', async () => {
+  const { X, y } = makeTimestampData(200)
+  const csr = {
+    indptr: Int32Array.from({ length: 201 }, (_, i) => i),
+    indices: new Int32Array(200),
+    values: X.data,
+    rows: 200,
+    cols: 1
+  }
+  const model = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  model.fit(csr, y)
+  assert(model.score(csr, y) === 1, `CSR accuracy ${model.score(csr, y)}`)
+  assertAllClose(model.predictProba(X), model.predictProba(csr), 0, 'CSR vs dense')
+  const predictor = await LGBPredictor.load(model.save())
+  assertAllClose(predictor.predictProba(csr), model.predictProba(csr), 1e-9, 'LGBPredictor CSR')
+  model.dispose()
+
+  // Streamed in Float64Array chunks, over two passes
+  const chunks = function* () {
+    for (let i = 0; i < 200; i += 50) {
+      yield { data: X.data.subarray(i, i + 50), cols: 1, label: Float32Array.from(y.subarray(i, i + 50)) }
+    }
+  }
+  const params = 'objective=binary verbosity=-1'
+  const ds = await Dataset.fromChunks(chunks, { params })
+  const booster = new Booster(ds, params)
+  for (let i = 0; i < 10; i++) booster.update()
+  const preds = booster.predict(X.data, X.rows, X.cols)
+  for (let i = 0; i < X.rows; i++) {
+    assert((preds[i] > 0.5) === (y[i] === 1), `streamed row ${i}: ${preds[i]}`)
+  }
+  booster.dispose()
+  ds.dispose()
+})
+
+console.log('\n-- Feature Names --')
+
+await test('row objects: names inferred at fit, rows reordered at predict', async () => {
+  const { X, y } = makeBinaryData(200)
+  const rows = X.map(([a, b]) => ({ age: a, income: b }))
+  const model = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  model.fit(rows, y)
+  assert(model.featureNames.join(',') === 'age,income', `names: ${model.featureNames}`)
+
+  // Key order does not matter; positional input still works
+  const shuffled = X.map(([a, b]) => ({ income: b, age: a }))
+  assertAllClose(model.predictProba(shuffled), model.predictProba(X), 0, 'by name vs positional')
+
+  const imp = model.featureImportances
+  assert(Object.keys(imp).join(',') === 'age,income', `importance keys: ${Object.keys(imp)}`)
+  const dump = model.dumpModel()
+  assert(dump.feature_names.join(',') === 'age,income', `dump names: ${dump.feature_names}`)
+  model.dispose()
+})
+
+await test('row batches of row objects name the columns from the first batch', async () => {
+  const { X, y } = makeBinaryData(200)
+  const rows = X.map(([a, b]) => ({ age: a, income: b }))
+  function* batches() {
+    for (let i = 0; i < rows.length; i += 50) yield { X: rows.slice(i, i + 50), y: y.slice(i, i + 50) }
+  }
+  const inMemory = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  inMemory.fit(rows, y)
+
+  // Re-readable source (peeked batch replayed) and single pass with nrow
+  const counted = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  await counted.fit(batches, null)
+  const single = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  await single.fit((async function* () { yield* batches() })(), null, { nrow: 200 })
+  for (const m of [counted, single]) {
+    assert(m.featureNames.join(',') === 'age,income', `names: ${m.featureNames}`)
+    assertAllClose(m.predictProba(rows), inMemory.predictProba(rows), 1e-12, 'same model as in memory')
+  }
+
+  // Explicit names win over the keys
+  const named = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  await named.fit(batches, null, { featureNames: ['income', 'age'] })
+  assert(named.featureNames.join(',') === 'income,age', `explicit names: ${named.featureNames}`)
+  for (const m of [inMemory, counted, single, named]) m.dispose()
+})
+
+await test('typed-array rows are positional, not row objects', async () => {
+  const { X, y } = makeBinaryData(200)
+  const typedRows = X.map(row => Float32Array.from(row))
+  const model = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  model.fit(typedRows, y)
+  assert(model.featureNames === null, `no names inferred: ${model.featureNames}`)
+  const reference = await LGBModel.create({ objective: 'binary', numRound: 10 })
+  reference.fit(X, y)
+  assertAllClose(model.predictProba(typedRows), reference.predictProba(X), 0, 'same as number[][]')
+  model.dispose()
+  reference.dispose()
+})
+
+await test('featureNames fit option is saved and used by loaded models', async () => {
+  const { X, y } = makeRegressionData(200)
+  const model = await LGBModel.create({ objective: 'regression', numRound: 10 })
+  model.fit({ data: Float32Array.from(X.flat()), rows: X.length, cols: 2 }, y, { featureNames: ['x1', 'x2'] })
+  const bundle = model.save()
+  assert(decodeBundle(bundle).manifest.metadata.featureNames.join(',') === 'x1,x2', 'names in manifest')
+
+  const rows = X.slice(0, 20).map(([a, b]) => ({ x2: b, x1: a }))
+  const expected = model.predict(X.slice(0, 20))
+  const loaded = await LGBModel.load(bundle)
+  assertAllClose(loaded.predict(rows), expected, 1e-12, 'loaded LGBModel')
+  const predictor = await LGBPredictor.load(bundle)
+  assertAllClose(predictor.predict(rows), expected, 1e-9, 'LGBPredictor')
+  assert(predictor.featureNames.join(',') === 'x1,x2', 'LGBPredictor names')
+  model.dispose()
+  loaded.dispose()
+})
+
+await test('row objects with missing or unknown features are rejected', async () => {
+  const { X, y } = makeBinaryData(100)
+  const model = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  model.fit(X.map(([a, b]) => ({ a, b })), y)
+
+  const errorOf = (fn) => { try { fn() } catch (e) { return e.message } return '' }
+  let msg = errorOf(() => model.predict([{ a: 1 }]))
+  assert(msg.includes("missing feature 'b'"), `missing: '${msg}'`)
+  msg = errorOf(() => model.predict([{ a: 1, b: 2, c: 3 }]))
+  assert(msg.includes("unknown feature 'c'"), `extra: '${msg}'`)
+  msg = errorOf(() => model.fit(X, y, { featureNames: ['a', 'b', 'c'] }))
+  assert(msg.includes('featureNames has 3 entries'), `length: '${msg}'`)
+
+  const positional = await LGBModel.create({ objective: 'binary', numRound: 5 })
+  positional.fit(X, y)
+  assert(positional.featureNames === null, 'no names for positional fit')
+  msg = errorOf(() => positional.predict([{ a: 1, b: 2 }]))
+  assert(msg.includes('no featureNames'), `unnamed model: '${msg}'`)
+  model.dispose()
+  positional.dispose()
+})
+
+console.log('\n-- Column-major Input --')
+
+// Row-major X (number[][]) as { columns } and as a flat column-major matrix
+function toColumnar(X) {
+  const rows = X.length
+  const cols = X[0].length
+  const columns = Array.from({ length: cols }, (_, j) => Float64Array.from(X, row => row[j]))
+  const data = new Float64Array(rows * cols)
+  for (let j = 0; j < cols; j++) data.set(columns[j], j * rows)
+  return { columns: { columns }, colMajor: { data, rows, cols, layout: 'col' } }
+}
+
+await test('fit and predict on columns match row-major input', async () => {
+  const { X, y } = makeMulticlassData(300)
+  const { columns, colMajor } = toColumnar(X)
+  const rowMajor = { data: Float64Array.from(X.flat()), rows: X.length, cols: X[0].length }
+  const rowModel = await LGBModel.create({ objective: 'multiclass', numRound: 10 })
+  rowModel.fit(rowMajor, y)
+  const colModel = await LGBModel.create({ objective: 'multiclass', numRound: 10 })
+  colModel.fit(columns, y, { evalSet: [{ X: colMajor, y }] })
+
+  const expected = rowModel.predictProba(rowMajor)
+  assertAllClose(colModel.predictProba(rowMajor), expected, 1e-12, 'same trees')
+  assertAllClose(rowModel.predictProba(columns), expected, 1e-12, '{ columns }')
+  assertAllClose(rowModel.predictProba(colMajor), expected, 1e-12, "layout: 'col'")
+
+  const predictor = await LGBPredictor.load(rowModel.save())
+  assertAllClose(predictor.predictProba(colMajor), expected, 1e-9, 'LGBPredictor')
+  rowModel.dispose()
+  colModel.dispose()
+})
+
+await test("Dataset and Booster.predict take layout: 'col'", async () => {
+  const { X, y } = makeRegressionData(200)
+  const { colMajor } = toColumnar(X)
+  const params = 'objective=regression verbosity=-1'
+  const ds = new Dataset(colMajor.data, colMajor.rows, colMajor.cols, params, { layout: 'col' })
+  ds.setLabel(Float32Array.from(y))
+  const booster = new Booster(ds, params)
+  for (let i = 0; i < 10; i++) booster.update()
+
+  const rowData = Float64Array.from(X.flat())
+  const expected = booster.predict(rowData, X.length, 2)
+  assertAllClose(booster.predict(colMajor.data, X.length, 2, { layout: 'col' }), expected, 0, 'col-major predict')
+
+  let msg = ''
+  try { booster.predict(rowData, X.length, 2, { layout: 'column' }) } catch (e) { msg = e.message }
+  assert(msg.includes("'row' or 'col'"), `expected layout error, got '${msg}'`)
+  booster.dispose()
+  ds.dispose()
+})
+
 console.log('\n-- Error Handling --')
 
 await test('Predict on unfitted model throws NotFittedError', async () => {
@@ -499,6 +2454,10 @@ await test('Classifier capabilities', async () => {
   assert(caps.classifier === true, 'should be classifier')
   assert(caps.regressor === false, 'should not be regressor')
   assert(caps.predictProba === true, 'should support predictProba')
+  assert(caps.earlyStopping === true, 'should support early stopping')
+  assert(caps.sampleWeight === true, 'should support sample weights')
+  assert(caps.csr === true, 'should support CSR input')
+  assert(caps.decisionFunction === true, 'should support decisionFunction')
   model.dispose()
 })
 